@@ -3,7 +3,6 @@ const HyperDHT = require('hyperdht')
 const getTestnet = require('hyperdht/testnet')
 const ProtomuxRPC = require('protomux-rpc')
 const cenc = require('compact-encoding')
-const logger = require('./logger')
 
 /**
  * @returns {ProtomuxRpcRouter}
@@ -12,7 +11,7 @@ function setUpRpcRouter() {
   const rpcRouter = new ProtomuxRpcRouter()
 
   // add a global middleware to log requests
-  rpcRouter.use(logger())
+  rpcRouter.use(ProtomuxRpcRouter.Middleware.logger())
 
   // add a method to echo the request
   rpcRouter.method('echo', async (value) => {
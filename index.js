@@ -3,18 +3,50 @@ const ReadyResource = require('ready-resource')
 const crypto = require('crypto')
 const HyperswarmCapability = require('hyperswarm-capability')
 const Middleware = require('./lib/middleware')
+const ProtomuxRpcClient = require('./lib/client')
 const ProtomuxRpcRouterError = require('./lib/errors')
+const ApplicationError = require('./lib/application-error')
+const { InMemorySpanExporter } = require('./lib/tracing')
+const testing = require('./lib/testing')
 const cenc = require('compact-encoding')
+const b4a = require('b4a')
 const ProtomuxRpcError = require('protomux-rpc/errors')
+const safetyCatch = require('safety-catch')
+const { STREAM_NEXT, STREAM_CANCEL, StreamId, StreamChunk } = require('./lib/stream')
+const { wireName, parseWireName } = require('./lib/versions')
+const { DESCRIBE, describeEncoding } = require('./lib/describe')
+const { CALL, Call } = require('./lib/call')
+const { Envelope } = require('./lib/envelope')
 
 const Handshake = HyperswarmCapability.Encoding
 
 /**
  * RPC context passed to middleware.
  * @typedef {Object} RpcContext
+ * @property {string} requestId - Unique id of the request, or the trace id sent with it.
  * @property {string} method - RPC method name.
+ * @property {number} version - Version of the method requested by the peer.
+ * @property {'method'|'stream'|'event'} kind - Kind of the method, set once the method is resolved.
  * @property {any} value - Request object passed by protomux-rpc.
+ * @property {any} request - The request decoded with the method request encoding, decoded on first access.
+ * @property {any} response - The response returned by the handler, before it is encoded. Set once the handler resolved.
  * @property {any} connection - Underlying connection (HyperDHT ...).
+ * @property {ConnectionContext} session - Context of the connection the request came in on.
+ * @property {Buffer|null} capability - Capability key the peer presented, if capabilities are enabled.
+ * @property {AbortSignal} signal - Aborted when the request should stop, e.g. the channel closed or it timed out.
+ * @property {import('./lib/trace').TraceContext|null} trace - Trace context sent with the request, if the router enables tracing.
+ * @property {Object<string, string>} metadata - Metadata sent with the request, if the router and the client enable envelopes.
+ * @property {Object<string, string>} responseMetadata - Metadata sent back with the response, if the request came with metadata.
+ */
+
+/**
+ * Connection context passed to the middleware connection hooks, shared by all requests of a connection.
+ * Middleware can attach per-peer state to it.
+ * @typedef {Object} ConnectionContext
+ * @property {any} connection - Underlying connection (HyperDHT ...).
+ * @property {ProtomuxRPC} rpc - The protomux-rpc channel created for the connection.
+ * @property {AbortSignal} signal - Aborted when the channel closes.
+ * @property {Buffer|null} capability - Capability key the peer presented, set once the handshake is verified.
  */
 
 /**
@@ -24,10 +56,44 @@ const Handshake = HyperswarmCapability.Encoding
  */
 
 /**
- * A middleware with an onion-style `onrequest` handler and optional lifecycle `destroy`.
+ * A middleware with an onion-style `onrequest` handler and optional lifecycle hooks.
  * @typedef {Object} Middleware
- * @property {(ctx: RpcContext, next: NextFunction) => Promise<any>} onrequest - Called for each request.
- * @property {() => void|Promise<void>} [destroy] - Optional cleanup hook.
+ * @property {(ctx: RpcContext, next: NextFunction) => Promise<any>} onrequest - Called for each request, `next` resolves to the encoded response.
+ * @property {(ctx: RpcContext, next: NextFunction) => Promise<any>} [onhandle] - Called for each decoded request, `next` resolves to the response before it is encoded.
+ * @property {() => void|Promise<void>} [onopen] - Optional open hook.
+ * @property {() => void|Promise<void>} [onclose] - Optional cleanup hook.
+ * @property {(ctx: ConnectionContext) => void|Promise<void>} [onconnection] - Optional hook called for each new connection.
+ * @property {(ctx: ConnectionContext) => void|Promise<void>} [ondisconnection] - Optional hook called once a connection closed.
+ */
+
+/**
+ * Stream opened by a stream method, until its chunks are all pulled or it is cancelled.
+ * @typedef {Object} OpenStream
+ * @property {MethodRegistration} registration
+ * @property {RpcContext} ctx - Context of the request that opened the stream.
+ * @property {AsyncIterator<any>|Iterator<any>} iterator
+ * @property {{ controller: AbortController, unlink: () => void }} link - The stream signal.
+ * @property {VersionAdapter|null} adapter - Adapter of the version requested by the peer, if older.
+ * @property {any} timer - Cancels the stream when the peer stops pulling, null while a chunk is pulled.
+ */
+
+/**
+ * Adapter serving an older version of a method with the handler of the current version.
+ * @typedef {Object} VersionAdapter
+ * @property {import('compact-encoding').Encoder} requestEncoding - Request encoding of the older version.
+ * @property {import('compact-encoding').Encoder} responseEncoding - Response encoding of the older version.
+ * @property {(req: any) => any} request - Upgrade a decoded request of the older version.
+ * @property {(res: any) => any} response - Downgrade a response (or a chunk) to the older version.
+ */
+
+/**
+ * Description of a method served by the router, see `router.describe()`.
+ * @typedef {Object} MethodDescription
+ * @property {string} method - RPC method name, including mount prefixes.
+ * @property {number} version
+ * @property {'method'|'stream'|'event'} kind
+ * @property {string} requestEncoding - Name of the request encoding, `'custom'` if unknown.
+ * @property {string} responseEncoding - Name of the response encoding, `'custom'` if unknown.
  */
 
 /**
@@ -40,13 +106,23 @@ class MethodRegistration {
    * @param {import('compact-encoding').Encoder} requestEncoding
    * @param {import('compact-encoding').Encoder} responseEncoding
    * @param {(req: any) => any|Promise<any>} handler
+   * @param {'method'|'stream'|'event'} [kind='method'] - `'stream'` when the handler returns an iterable of chunks,
+   *   `'event'` when no response is sent.
    */
-  constructor(method, middleware, requestEncoding, responseEncoding, handler) {
+  constructor(method, middleware, requestEncoding, responseEncoding, handler, kind = 'method') {
     this.method = method
     this.middleware = middleware
     this.requestEncoding = requestEncoding
     this.responseEncoding = responseEncoding
     this.handler = handler
+    this.kind = kind
+    // router the method was registered on, which can be mounted in another router
+    this.router = null
+    this.version = 1
+    /** @type {Map<number, VersionAdapter>} */
+    this.adapters = new Map()
+    // pending `onopen` of the method middleware, null until the method is opened
+    this.opening = null
   }
 
   /**
@@ -58,6 +134,44 @@ class MethodRegistration {
     this.middleware = Middleware.compose(this.middleware, Middleware.wrap(middleware))
     return this
   }
+
+  /**
+   * Serve an older version of this method with this handler, adapting its requests and responses.
+   * @param {number} version - The older version.
+   * @param {Object} [options]
+   * @param {import('compact-encoding').Encoder} [options.requestEncoding] - Request encoding of the older version, defaults to this one.
+   * @param {import('compact-encoding').Encoder} [options.responseEncoding] - Response encoding of the older version, defaults to this one.
+   * @param {(req: any) => any} [options.request] - Upgrade a decoded request of the older version.
+   * @param {(res: any) => any} [options.response] - Downgrade a response to the older version.
+   * @returns {this}
+   */
+  adapt(
+    version,
+    {
+      requestEncoding = this.requestEncoding,
+      responseEncoding = this.responseEncoding,
+      request = identity,
+      response = identity
+    } = {}
+  ) {
+    this.adapters.set(version, { requestEncoding, responseEncoding, request, response })
+    this.router._add(wireName(this.method, version), this)
+    return this
+  }
+
+  /**
+   * Encodings of a version of this method, so clients can share the router methods.
+   * @param {number} [version=this.version]
+   * @returns {{ requestEncoding: import('compact-encoding').Encoder, responseEncoding: import('compact-encoding').Encoder }}
+   */
+  encodings(version = this.version) {
+    return (
+      this.adapters.get(version) ?? {
+        requestEncoding: this.requestEncoding,
+        responseEncoding: this.responseEncoding
+      }
+    )
+  }
 }
 
 /**
@@ -65,28 +179,109 @@ class MethodRegistration {
  */
 class ProtomuxRpcRouter extends ReadyResource {
   static Middleware = Middleware
+  static Client = ProtomuxRpcClient
+  static ApplicationError = ApplicationError
+  static InMemorySpanExporter = InMemorySpanExporter
+  static testing = testing
 
   /**
    * Create a new router.
    * @param {Object} [options]
    * @param {Buffer} [options.namespace] - Optional namespace for capability.
    * @param {Buffer} [options.capability] - Optional capability key. Enables capability verification.
+   * @param {Buffer[]} [options.capabilities] - Optional set of valid capability keys, the first one is sent to peers.
+   * @param {boolean} [options.maskErrors=false] - Send unexpected errors to peers as a generic `INTERNAL_ERROR`.
+   * @param {(error: Error, ctx: RpcContext) => Error|undefined} [options.mapError] - Optional hook mapping errors before they are sent to peers.
+   * @param {boolean} [options.describe=false] - Serve the `_router.describe` method, so peers can discover the methods.
+   * @param {boolean} [options.tracing=false] - Accept a trace context with requests, sent by clients enabling `tracing`.
+   * @param {boolean} [options.envelope=false] - Accept metadata with requests and send it back with their responses, for clients enabling `envelope`.
+   * @param {number} [options.maxStreams=64] - Maximum number of open streams per connection.
+   * @param {number} [options.streamTimeout=30000] - Time in ms an open stream waits for its next pull before it is cancelled, 0 to wait forever.
    */
-  constructor({ namespace = undefined, capability = null } = {}) {
+  constructor({
+    namespace = undefined,
+    capability = null,
+    capabilities = [],
+    maskErrors = false,
+    mapError = null,
+    describe = false,
+    tracing = false,
+    envelope = false,
+    maxStreams = 64,
+    streamTimeout = 30000
+  } = {}) {
     super()
 
-    this._cap = capability ? new HyperswarmCapability(namespace) : null
-    this._capability = capability
+    this._maskErrors = maskErrors
+    this._mapError = mapError
+    this._describe = describe
+    this._tracing = tracing
+    this._envelope = envelope
+    this._maxStreams = maxStreams
+    this._streamTimeout = streamTimeout
+
+    this._cap = new HyperswarmCapability(namespace)
+    /** @type {Buffer[]} */
+    this._capabilities = []
+
+    if (capability) this.addCapability(capability)
+    for (const capability of capabilities) this.addCapability(capability)
 
     /** @type {Map<string, MethodRegistration>} */
     this.methods = new Map()
+    /** @type {Map<any, ConnectionContext>} */
+    this.connections = new Map()
     /** @type {Middleware} */
     this.middleware = Middleware.NOOP
+    /** @type {Map<string, ProtomuxRpcRouter>} */
+    this.mounts = new Map()
+    // set once this router is mounted in a parent router
+    /** @type {{ router: ProtomuxRpcRouter, prefix: string }|null} */
+    this._mount = null
     this.stats = {
       nrRequests: 0,
       nrErrors: 0,
-      nrHandlerErrors: 0
+      nrHandlerErrors: 0,
+      nrValidationErrors: 0,
+      nrInFlight: 0
+    }
+    // per-method metrics, only tracked once registerMetrics is called
+    this._metrics = null
+
+    this._drainTimeout = 10000
+    /** @type {Set<Promise<Buffer>>} */
+    this._inflight = new Set()
+    /** @type {Set<Promise<void>>} */
+    this._disconnecting = new Set()
+    /** @type {WeakMap<ConnectionContext, { opening: Promise<void>, connected: Map<MethodRegistration, Promise<void>>, streams: Map<number, OpenStream>, streamId: number, nrStreams: number }>} */
+    this._connectionState = new WeakMap()
+  }
+
+  /**
+   * Add a valid capability key, e.g. to rotate to a new key without downtime.
+   * The first capability added is the one sent to peers.
+   * @param {Buffer} capability
+   * @returns {this}
+   */
+  addCapability(capability) {
+    if (!this._capabilities.some((key) => b4a.equals(key, capability))) {
+      this._capabilities.push(capability)
+    }
+    return this
+  }
+
+  /**
+   * Remove a capability key. New handshakes presenting it are rejected.
+   * The last key can't be removed, so capability verification can't be switched off.
+   * @param {Buffer} capability
+   * @returns {this}
+   */
+  removeCapability(capability) {
+    if (this._capabilities.length === 1 && b4a.equals(this._capabilities[0], capability)) {
+      throw ProtomuxRpcRouterError.LAST_CAPABILITY()
     }
+    this._capabilities = this._capabilities.filter((key) => !b4a.equals(key, capability))
+    return this
   }
 
   /**
@@ -102,69 +297,696 @@ class ProtomuxRpcRouter extends ReadyResource {
     if (this.closing) {
       throw ProtomuxRpcRouterError.ROUTER_CLOSED()
     }
+    const capabilities = this._capabilities.slice()
     const rpc = new ProtomuxRPC(connection, {
       id: protomuxRpcId,
       valueEncoding: null,
-      handshakeEncoding: this._capability ? Handshake : null,
-      handshake: this._capability
-        ? { capability: this._cap.generate(connection, this._capability) }
-        : null
+      handshakeEncoding: capabilities.length > 0 ? Handshake : null,
+      handshake:
+        capabilities.length > 0
+          ? { capability: this._cap.generate(connection, capabilities[0]) }
+          : null
     })
 
-    if (this._capability) {
+    // aborts in-flight requests when the channel goes away mid-request
+    const controller = new AbortController()
+
+    /** @type {ConnectionContext} */
+    const session = { connection, rpc, signal: controller.signal, capability: null }
+    const state = {
+      opening: null,
+      connected: new Map(),
+      streams: new Map(),
+      streamId: 0,
+      nrStreams: 0
+    }
+    this._connectionState.set(session, state)
+
+    const opening = this._onconnection(session)
+    opening.catch(noop) // rethrown below, and awaited by requests and disconnection
+    state.opening = opening
+
+    this.connections.set(connection, session)
+
+    rpc.on('close', () => {
+      controller.abort(ProtomuxRpcError.CHANNEL_CLOSED())
+      for (const [id, stream] of state.streams) {
+        this._endStream(session, id, stream, controller.signal.reason)
+      }
+      const disconnecting = this._ondisconnection(session, opening)
+      this._disconnecting.add(disconnecting)
+      disconnecting.catch(safetyCatch).finally(() => this._disconnecting.delete(disconnecting))
+    })
+
+    if (capabilities.length > 0) {
       rpc.on('open', (handshake) => {
-        if (
-          !handshake?.capability ||
-          !this._cap.verify(connection, this._capability, handshake.capability)
-        ) {
+        // checked against the current set, so removed capabilities stop working right away
+        const capability = handshake?.capability
+          ? this._capabilities.find((key) =>
+              this._cap.verify(connection, key, handshake.capability)
+            )
+          : undefined
+
+        if (capability === undefined) {
           rpc.destroy(new Error('Remote sent invalid capability'))
           this.emit('capability-error', { connection })
+          return
         }
+
+        session.capability = capability
       })
     }
 
-    this.methods.forEach((registration) => {
-      const combinedMiddleware = Middleware.compose(this.middleware, registration.middleware)
+    for (const method of this.methods.keys()) {
+      this._respond(session, method)
+    }
+    rpc.respond(STREAM_NEXT, { requestEncoding: StreamId, responseEncoding: StreamChunk }, (id) =>
+      this._track(this._nextChunk(session, id))
+    )
+    rpc.respond(STREAM_CANCEL, { requestEncoding: StreamId, responseEncoding: cenc.none }, (id) =>
+      this._cancelStream(session, id)
+    )
+    if (this._tracing || this._envelope) {
+      rpc.respond(CALL, (value) => this._track(this._dispatch(session, CALL, value)))
+    }
+    if (this._describe) {
+      rpc.respond(DESCRIBE, { requestEncoding: cenc.none, responseEncoding: cenc.json }, () =>
+        this.describe()
+      )
+    }
+
+    try {
+      await opening
+    } catch (error) {
+      rpc.destroy(error)
+      throw error
+    }
+
+    this.emit('connection-open', session)
+  }
+
+  /**
+   * Call the `onconnection` hooks of the middleware chain for a new connection.
+   * @param {ConnectionContext} session
+   * @returns {Promise<void>}
+   */
+  async _onconnection(session) {
+    const lifecycle = this._lifecycle()
+    await lifecycle.onconnection(session)
+
+    const connected = []
+    try {
+      for (const registration of this.methods.values()) {
+        // methods added at runtime connect on their first request instead
+        if (registration.opening === null) continue
+        await this._connectMethod(session, registration)
+        connected.push(registration)
+      }
+    } catch (error) {
+      for (const registration of connected.reverse()) {
+        await this._disconnectMethod(session, registration).catch(safetyCatch)
+      }
+      await lifecycle.ondisconnection(session).catch(safetyCatch)
+      throw error
+    }
+  }
+
+  /**
+   * Call the `ondisconnection` hooks of the middleware chain once a connection closed.
+   * @param {ConnectionContext} session
+   * @param {Promise<void>} opening - The pending `onconnection` hooks.
+   * @returns {Promise<void>}
+   */
+  async _ondisconnection(session, opening) {
+    try {
+      await opening
+    } catch {
+      // never fully connected, so there is nothing to disconnect
+      this.connections.delete(session.connection)
+      return
+    }
+
+    let aggregateError = null
+    for (const registration of this._connectionState.get(session).connected.keys()) {
+      try {
+        await this._disconnectMethod(session, registration)
+      } catch (error) {
+        aggregateError = ProtomuxRpcRouterError.aggregate(aggregateError, error)
+      }
+    }
+    try {
+      await this._lifecycle().ondisconnection(session)
+    } catch (error) {
+      aggregateError = ProtomuxRpcRouterError.aggregate(aggregateError, error)
+    }
+
+    this.connections.delete(session.connection)
+    this.emit('connection-close', session)
+
+    if (aggregateError) {
+      throw aggregateError
+    }
+  }
+
+  /**
+   * Call the `onopen` of the method middleware, once.
+   * @param {MethodRegistration} registration
+   * @returns {Promise<void>}
+   */
+  _openMethod(registration) {
+    if (registration.opening === null) {
+      registration.opening = registration.middleware.onopen()
+    }
+    return registration.opening
+  }
+
+  /**
+   * Call the `onclose` of the method middleware, if it was opened.
+   * @param {MethodRegistration} registration
+   * @returns {Promise<void>}
+   */
+  async _closeMethod(registration) {
+    if (registration.opening === null) return
+    try {
+      await registration.opening
+    } catch {
+      // the composed onopen already closed what it opened
+      return
+    }
+    await registration.middleware.onclose()
+  }
+
+  /**
+   * Call the `onconnection` of the method middleware for a connection, once.
+   * @param {ConnectionContext} session
+   * @param {MethodRegistration} registration
+   * @returns {Promise<void>}
+   */
+  _connectMethod(session, registration) {
+    const { connected } = this._connectionState.get(session)
+    let connecting = connected.get(registration)
+    if (connecting === undefined) {
+      connecting = this._openMethod(registration).then(() =>
+        registration.middleware.onconnection(session)
+      )
+      connected.set(registration, connecting)
+    }
+    return connecting
+  }
+
+  /**
+   * Call the `ondisconnection` of the method middleware for a connection, if it was connected.
+   * @param {ConnectionContext} session
+   * @param {MethodRegistration} registration
+   * @returns {Promise<void>}
+   */
+  async _disconnectMethod(session, registration) {
+    const { connected } = this._connectionState.get(session)
+    const connecting = connected.get(registration)
+    if (connecting === undefined) return
+    connected.delete(registration)
+    try {
+      await connecting
+    } catch {
+      return
+    }
+    await registration.middleware.ondisconnection(session)
+  }
+
+  /**
+   * Disconnect a method from all connections and close its middleware.
+   * @param {MethodRegistration} registration
+   * @returns {Promise<void>}
+   */
+  async _removeMethod(registration) {
+    let aggregateError = null
+    for (const session of this.connections.values()) {
+      try {
+        await this._disconnectMethod(session, registration)
+      } catch (error) {
+        aggregateError = ProtomuxRpcRouterError.aggregate(aggregateError, error)
+      }
+    }
+    try {
+      await this._closeMethod(registration)
+    } catch (error) {
+      aggregateError = ProtomuxRpcRouterError.aggregate(aggregateError, error)
+    }
+    if (aggregateError) {
+      throw aggregateError
+    }
+  }
+
+  /**
+   * Attach a responder for a method on a connection. The registration is looked up per request,
+   * so replacing a method takes effect on existing connections.
+   * @param {ConnectionContext} session
+   * @param {string} method
+   */
+  _respond(session, method) {
+    session.rpc.respond(method, (value) => this._track(this._dispatch(session, method, value)))
+  }
+
+  /**
+   * Resolve the registration of a request and run it. Errors thrown anywhere on the way, including
+   * by the connection and method hooks, are counted and mapped to the error sent to the peer.
+   * @param {ConnectionContext} session
+   * @param {string} method - Name the method is served under, including mount prefixes and version, or the call method.
+   * @param {Buffer} value - Raw request.
+   * @returns {Promise<Buffer>} Raw response.
+   */
+  async _dispatch(session, method, value) {
+    const startTime = Date.now()
+
+    /** @type {RpcContext} */
+    const ctx = {
+      requestId: crypto.randomUUID(),
+      ...parseWireName(method),
+      kind: null,
+      value,
+      connection: session.connection,
+      session,
+      capability: session.capability,
+      signal: session.signal,
+      trace: null,
+      metadata: {},
+      responseMetadata: {},
+      response: undefined
+    }
+    // set by the innermost layer, anything else failing is a rejection
+    const result = { outcome: null }
+    // calls sending metadata get metadata back
+    let enveloped = false
+    /** @type {MethodRegistration|undefined} */
+    let registration
+
+    this.stats.nrRequests++
+    this.stats.nrInFlight++
+
+    try {
+      if (this.closing) {
+        throw ProtomuxRpcRouterError.ROUTER_CLOSED()
+      }
+
+      if (method === CALL) {
+        // the method is named by the call, sent with the trace context and metadata
+        let call
+        try {
+          call = cenc.decode(Call, value)
+        } catch (error) {
+          throw ProtomuxRpcError.DECODE_ERROR('Could not decode call', error)
+        }
+        if (call.metadata !== null && !this._envelope) {
+          throw ProtomuxRpcError.DECODE_ERROR('Metadata is not enabled')
+        }
+
+        method = call.method
+        Object.assign(ctx, parseWireName(method), { value: call.value })
+        if (call.metadata !== null) ctx.metadata = call.metadata
+        if (call.trace !== null && this._tracing) {
+          ctx.trace = call.trace
+          // the trace id correlates the request with the logs of the caller
+          ctx.requestId = call.trace.traceId
+        }
+        enveloped = call.metadata !== null
+      }
+
+      await this._connectionState.get(session).opening
+
+      registration = this.methods.get(method)
+      if (registration === undefined) {
+        throw ProtomuxRpcError.UNKNOWN_METHOD(`Unknown method '${method}'`)
+      }
+
+      await this._connectMethod(session, registration)
+      const res = await this._onrequest(registration, session, ctx, result)
+      result.outcome = 'ok'
+      return enveloped ? cenc.encode(Envelope, { metadata: ctx.responseMetadata, value: res }) : res
+    } catch (error) {
+      if (isValidationError(error)) {
+        result.outcome = 'validation_error'
+        this.stats.nrValidationErrors++
+      } else if (result.outcome === null || result.outcome === 'ok') {
+        result.outcome = 'middleware_error'
+      }
+      this.stats.nrErrors++
+      throw this._toWireError(error, ctx)
+    } finally {
+      this.stats.nrInFlight--
+      if (this._metrics !== null) {
+        // calls can name any method, only registered ones get their own labels
+        const labels =
+          registration === undefined
+            ? { method: '_unknown', version: '_unknown', outcome: result.outcome }
+            : { method: ctx.method, version: ctx.version, outcome: result.outcome }
+        this._metrics.requests.inc(labels)
+        this._metrics.duration.observe(labels, (Date.now() - startTime) / 1000)
+      }
+    }
+  }
+
+  /**
+   * Map an error thrown by the middleware chain to the error sent to the peer.
+   * Application, router and protomux-rpc errors are safe to send, other errors are masked
+   * as `INTERNAL_ERROR` when `maskErrors` is set.
+   * @param {Error} error
+   * @param {RpcContext} ctx
+   * @returns {Error}
+   */
+  _toWireError(error, ctx) {
+    if (this._mapError !== null) {
+      error = this._mapError(error, ctx) || error
+    }
+
+    if (this._maskErrors && !isSafeError(error)) {
+      error = ProtomuxRpcRouterError.INTERNAL_ERROR(ctx.requestId, error)
+    }
+
+    // protomux-rpc only sends the message, code and context of the error
+    error.context =
+      error.details === undefined || error.details === null
+        ? ctx.requestId
+        : JSON.stringify({ requestId: ctx.requestId, details: error.details })
+
+    return error
+  }
+
+  /**
+   * Keep track of an in-flight request until it settles, so close can drain it.
+   * @param {Promise<Buffer>} request
+   * @returns {Promise<Buffer>}
+   */
+  _track(request) {
+    this._inflight.add(request)
+    const untrack = () => this._inflight.delete(request)
+    request.then(untrack, untrack)
+    return request
+  }
 
-      rpc.respond(registration.method, async (value) => {
-        const requestId = crypto.randomUUID()
-        this.stats.nrRequests++
-        const ctx = {
-          requestId,
-          method: registration.method,
-          value,
-          connection
+  /**
+   * Run a request through the middleware chain and the method handler.
+   * @param {MethodRegistration} registration
+   * @param {ConnectionContext} session
+   * @param {RpcContext} ctx - Context of the request, without the decoded request yet.
+   * @param {{ outcome: string|null }} result - Set to the outcome once the request reached the handler.
+   * @returns {Promise<Buffer>} Raw response.
+   */
+  async _onrequest(registration, session, ctx, result) {
+    const middleware = this._chainOf(registration)
+    const { version } = ctx
+    ctx.kind = registration.kind
+    // older versions are served through an adapter to the registered version
+    const adapter = version === registration.version ? null : registration.adapters.get(version)
+
+    // decoded lazily, and again if a middleware replaced ctx.value
+    let decodedValue = null
+    let request
+    const decode = () => {
+      if (decodedValue !== ctx.value) {
+        try {
+          request = cenc.decode(registration.encodings(version).requestEncoding, ctx.value)
+          if (adapter) request = adapter.request(request)
+        } catch (error) {
+          result.outcome = 'decode_error'
+          throw ProtomuxRpcError.DECODE_ERROR('Could not decode request', error)
         }
+        decodedValue = ctx.value
+      }
+      return request
+    }
+
+    Object.defineProperty(ctx, 'request', {
+      enumerable: true,
+      get: decode,
+      set(value) {
+        request = value
+        decodedValue = ctx.value
+      }
+    })
+
+    return middleware.onrequest(ctx, async () => {
+      try {
+        decode()
+
+        // a stream outlives its request, so it gets its own signal, aborted when it is cancelled
+        const link =
+          registration.kind === 'stream' ? this._reserveStream(session, ctx.signal) : null
+        if (link !== null) ctx.signal = link.controller.signal
+
         try {
-          return await combinedMiddleware.onrequest(ctx, async () => {
+          ctx.response = await middleware.onhandle(ctx, async () => {
             try {
-              let req
-              try {
-                req = cenc.decode(registration.requestEncoding, ctx.value)
-              } catch (error) {
-                throw ProtomuxRpcError.DECODE_ERROR('Could not decode request', error)
-              }
-              const res = await registration.handler(req, ctx)
-
-              try {
-                return cenc.encode(registration.responseEncoding, res)
-              } catch (error) {
-                throw ProtomuxRpcError.ENCODE_ERROR('Could not encode response', error)
-              }
+              return await registration.handler(ctx.request, ctx)
             } catch (error) {
-              this.stats.nrHandlerErrors++
+              result.outcome = 'handler_error'
               throw error
             }
           })
         } catch (error) {
-          this.stats.nrErrors++
-          error.context = requestId
+          if (link !== null) link.unlink()
           throw error
         }
-      })
+
+        let res
+        try {
+          res =
+            registration.kind === 'stream'
+              ? cenc.encode(StreamId, this._openStream(session, registration, ctx, link, adapter))
+              : cenc.encode(
+                  registration.encodings(version).responseEncoding,
+                  adapter ? adapter.response(ctx.response) : ctx.response
+                )
+        } catch (error) {
+          if (link !== null) link.unlink()
+          result.outcome = 'encode_error'
+          throw ProtomuxRpcError.ENCODE_ERROR('Could not encode response', error)
+        }
+
+        result.outcome = 'ok'
+        return res
+      } catch (error) {
+        // typed middleware rejecting the request is not a handler error
+        if (result.outcome !== null) this.stats.nrHandlerErrors++
+        throw error
+      }
     })
   }
 
+  /**
+   * Reserve one of the open streams of a connection for a stream request, before its handler runs.
+   * @param {ConnectionContext} session
+   * @param {AbortSignal} signal - Signal of the request opening the stream.
+   * @returns {{ controller: AbortController, unlink: () => void }} The stream signal, unlinking it releases the reservation.
+   */
+  _reserveStream(session, signal) {
+    const state = this._connectionState.get(session)
+    if (state.nrStreams >= this._maxStreams) {
+      throw ProtomuxRpcRouterError.TOO_MANY_STREAMS(this._maxStreams)
+    }
+    state.nrStreams++
+
+    const link = linkSignal(signal)
+    return {
+      controller: link.controller,
+      unlink: () => {
+        state.nrStreams--
+        link.unlink()
+      }
+    }
+  }
+
+  /**
+   * Keep the iterator returned by a stream handler until its chunks are pulled.
+   * @param {ConnectionContext} session
+   * @param {MethodRegistration} registration
+   * @param {RpcContext} ctx - Context of the request that opened the stream.
+   * @param {{ controller: AbortController, unlink: () => void }} link - The stream signal.
+   * @param {VersionAdapter|null} adapter - Adapter of the version requested by the peer, if older.
+   * @returns {number} Id of the stream.
+   */
+  _openStream(session, registration, ctx, link, adapter) {
+    const iterable = ctx.response
+    const iterator = iterable?.[Symbol.asyncIterator]?.() ?? iterable?.[Symbol.iterator]?.()
+    if (!iterator) {
+      throw new TypeError(`Stream handler of '${registration.method}' must return an iterable`)
+    }
+
+    const state = this._connectionState.get(session)
+    const id = ++state.streamId
+    const stream = { registration, ctx, iterator, link, adapter, timer: null }
+    state.streams.set(id, stream)
+    this._idleStream(session, id, stream)
+    return id
+  }
+
+  /**
+   * Pull the next chunk of a stream.
+   * @param {ConnectionContext} session
+   * @param {number} id
+   * @returns {Promise<{ done: boolean, chunk: Buffer|null }>}
+   */
+  async _nextChunk(session, id) {
+    if (this.closing) {
+      throw ProtomuxRpcRouterError.ROUTER_CLOSED()
+    }
+
+    const stream = this._connectionState.get(session).streams.get(id)
+    if (stream === undefined) {
+      throw ProtomuxRpcRouterError.STREAM_NOT_FOUND(id)
+    }
+
+    // a slow handler is not an idle peer
+    clearTimeout(stream.timer)
+    stream.timer = null
+
+    let result
+    try {
+      result = await stream.iterator.next()
+    } catch (error) {
+      this._endStream(session, id, stream, null)
+      this.stats.nrErrors++
+      this.stats.nrHandlerErrors++
+      throw this._toWireError(error, stream.ctx)
+    }
+
+    if (result.done) {
+      this._endStream(session, id, stream, null)
+      return { done: true, chunk: null }
+    }
+
+    try {
+      const { registration, ctx, adapter } = stream
+      const value = adapter ? adapter.response(result.value) : result.value
+      const chunk = cenc.encode(registration.encodings(ctx.version).responseEncoding, value)
+      this._idleStream(session, id, stream)
+      return { done: false, chunk }
+    } catch (error) {
+      this._endStream(session, id, stream, ProtomuxRpcRouterError.STREAM_CANCELLED())
+      this.stats.nrErrors++
+      this.stats.nrHandlerErrors++
+      throw this._toWireError(
+        ProtomuxRpcError.ENCODE_ERROR('Could not encode response', error),
+        stream.ctx
+      )
+    }
+  }
+
+  /**
+   * Cancel a stream unless the peer pulls its next chunk within the stream timeout.
+   * @param {ConnectionContext} session
+   * @param {number} id
+   * @param {OpenStream} stream
+   */
+  _idleStream(session, id, stream) {
+    const { streams } = this._connectionState.get(session)
+    if (this._streamTimeout === 0 || streams.get(id) !== stream) return
+
+    clearTimeout(stream.timer)
+    stream.timer = setTimeout(
+      () => this._endStream(session, id, stream, ProtomuxRpcRouterError.STREAM_CANCELLED()),
+      this._streamTimeout
+    )
+  }
+
+  /**
+   * Cancel a stream on request of the peer. Cancelling an ended stream is a no-op.
+   * @param {ConnectionContext} session
+   * @param {number} id
+   */
+  _cancelStream(session, id) {
+    const stream = this._connectionState.get(session).streams.get(id)
+    if (stream !== undefined) {
+      this._endStream(session, id, stream, ProtomuxRpcRouterError.STREAM_CANCELLED())
+    }
+  }
+
+  /**
+   * Forget a stream. When it did not run to completion, abort its signal and return its iterator.
+   * @param {ConnectionContext} session
+   * @param {number} id
+   * @param {OpenStream} stream
+   * @param {Error|null} reason - Why the stream is ended early, null when it completed.
+   */
+  _endStream(session, id, stream, reason) {
+    const { streams } = this._connectionState.get(session)
+    // e.g. the channel closed while a chunk was pulled
+    if (streams.get(id) !== stream) return
+
+    streams.delete(id)
+    clearTimeout(stream.timer)
+    stream.link.unlink()
+
+    if (reason !== null) {
+      stream.link.controller.abort(reason)
+      // runs the finally blocks of generators, after a pending next() if any
+      Promise.resolve()
+        .then(() => stream.iterator.return?.())
+        .catch(safetyCatch)
+    }
+  }
+
+  /**
+   * Middleware chain of a method: the global middleware of this router, then of the mounted
+   * routers down to the one the method was registered on, then the method middleware.
+   * @param {MethodRegistration} registration
+   * @returns {Middleware}
+   */
+  _chainOf(registration) {
+    const middlewares = [registration.middleware]
+    for (let router = registration.router; router !== this; router = router._mount.router) {
+      middlewares.unshift(router.middleware)
+    }
+    return Middleware.compose(this.middleware, ...middlewares)
+  }
+
+  /**
+   * Global middleware of this router and of the mounted routers, for the lifecycle hooks.
+   * @returns {Middleware}
+   */
+  _lifecycle() {
+    const mounted = Array.from(this.mounts.values(), (router) => router._lifecycle())
+    return Middleware.compose(this.middleware, ...mounted)
+  }
+
+  /**
+   * The router handling the connections, this router unless it is mounted.
+   * @returns {ProtomuxRpcRouter}
+   */
+  _root() {
+    let root = this
+    while (root._mount !== null) root = root._mount.router
+    return root
+  }
+
+  /**
+   * Mount a router under a prefix: its methods are served by this router as `prefix.name`,
+   * with its global middleware composed after the global middleware of this router.
+   * Methods registered on the mounted router later are served too.
+   * @param {string} prefix - Prefix of the mounted methods.
+   * @param {ProtomuxRpcRouter} router - The router to mount.
+   * @returns {this}
+   */
+  mount(prefix, router) {
+    if (this._root().opening) {
+      throw ProtomuxRpcRouterError.ROUTER_ALREADY_OPEN()
+    }
+    if (router._mount !== null || router.opening || router === this) {
+      throw ProtomuxRpcRouterError.INVALID_MOUNT(prefix)
+    }
+    if (prefix.includes('@')) {
+      throw ProtomuxRpcRouterError.INVALID_METHOD_NAME(prefix)
+    }
+
+    router._mount = { router: this, prefix }
+    this.mounts.set(prefix, router)
+
+    for (const [method, registration] of router.methods) {
+      this._add(`${prefix}.${method}`, registration)
+    }
+
+    return this
+  }
+
   /**
    * Add global middleware applied to every method.
    * @param {Partial<Middleware>} middleware - The middleware object to attach.
@@ -183,6 +1005,7 @@ class ProtomuxRpcRouter extends ReadyResource {
    * @param {Object} options - Method options.
    * @param {any} options.requestEncoding - Middleware to apply to the method request encoding.
    * @param {any} options.responseEncoding - Middleware to apply to the method response encoding.
+   * @param {number} [options.version=1] - Version of the method, served as `method@version` from version 2.
    * @param {(req: any, ctx: RpcContext) => any|Promise<any>} handler - Handler function.
    * @returns {MethodRegistration}
    */
@@ -191,47 +1014,289 @@ class ProtomuxRpcRouter extends ReadyResource {
       handler = options
       options = {}
     }
-    const { requestEncoding = cenc.raw, responseEncoding = cenc.raw } = options
+    return this._register(method, options, handler, 'method')
+  }
+
+  /**
+   * Register a new streaming RPC method. The handler returns an async iterable (e.g. an async
+   * generator) whose chunks are pulled by the caller, so a slow caller slows down the handler.
+   * The global and method middleware apply to the request opening the stream.
+   * Usage:
+   *   router.stream('name', async function * (req, ctx) { yield chunk })
+   * @param {string} method - RPC method name.
+   * @param {Object} options - Method options.
+   * @param {any} options.requestEncoding - Encoding of the request.
+   * @param {any} options.responseEncoding - Encoding of each chunk.
+   * @param {number} [options.version=1] - Version of the method, served as `method@version` from version 2.
+   * @param {(req: any, ctx: RpcContext) => AsyncIterable<any>|Iterable<any>} handler - Handler function.
+   * @returns {MethodRegistration}
+   */
+  stream(method, options, handler) {
+    if (typeof options === 'function') {
+      handler = options
+      options = {}
+    }
+    return this._register(method, options, handler, 'stream')
+  }
+
+  /**
+   * Register a new one-way event method, for fire-and-forget traffic. The event runs through the
+   * middleware chain like a method, but no response is sent back.
+   * Usage:
+   *   router.event('name', handler)
+   * @param {string} method - RPC method name.
+   * @param {Object} options - Event options.
+   * @param {any} options.encoding - Encoding of the event value.
+   * @param {(value: any, ctx: RpcContext) => void|Promise<void>} handler - Handler function.
+   * @returns {MethodRegistration}
+   */
+  event(method, options, handler) {
+    if (typeof options === 'function') {
+      handler = options
+      options = {}
+    }
+    const { encoding = cenc.raw } = options
+    return this._register(
+      method,
+      { requestEncoding: encoding, responseEncoding: cenc.none },
+      handler,
+      'event'
+    )
+  }
+
+  /**
+   * Push an event to a handled connection.
+   * @param {any} connection - The connection, as passed to `handleConnection`.
+   * @param {string} event - Event name.
+   * @param {any} value - Event value.
+   * @param {Object} [options]
+   * @param {any} [options.encoding=cenc.raw] - Encoding of the event value.
+   */
+  notify(connection, event, value, { encoding = cenc.raw } = {}) {
+    const session = this.connections.get(connection)
+    if (session === undefined) {
+      throw ProtomuxRpcRouterError.CONNECTION_NOT_FOUND()
+    }
+    session.rpc.event(event, value, { requestEncoding: encoding })
+  }
+
+  /**
+   * Push an event to all handled connections.
+   * @param {string} event - Event name.
+   * @param {any} value - Event value.
+   * @param {Object} [options]
+   * @param {any} [options.encoding=cenc.raw] - Encoding of the event value.
+   * @returns {number} The number of connections the event was sent to.
+   */
+  broadcast(event, value, { encoding = cenc.raw } = {}) {
+    // encoded once for all connections
+    const buffer = cenc.encode(encoding, value)
+
+    let sent = 0
+    for (const session of this.connections.values()) {
+      if (session.rpc.closed) continue
+      session.rpc.event(event, buffer, { requestEncoding: cenc.raw })
+      sent++
+    }
+    return sent
+  }
+
+  /**
+   * Register a method, replacing the registration of the same name if any.
+   * @param {string} method
+   * @param {Object} options
+   * @param {Function} handler
+   * @param {'method'|'stream'|'event'} kind
+   * @returns {MethodRegistration}
+   */
+  _register(method, options, handler, kind) {
+    const { requestEncoding = cenc.raw, responseEncoding = cenc.raw, version = 1 } = options
+    // versions are served as `method@version`
+    if (method.includes('@')) {
+      throw ProtomuxRpcRouterError.INVALID_METHOD_NAME(method)
+    }
 
     const registration = new MethodRegistration(
       method,
       Middleware.NOOP,
       requestEncoding,
       responseEncoding,
-      handler
+      handler,
+      kind
     )
-    this.methods.set(method, registration)
+    registration.router = this
+    registration.version = version
+    this._add(wireName(method, version), registration)
+
     return registration
   }
 
+  /**
+   * Serve a registration, here and in the routers this router is mounted in.
+   * @param {string} method
+   * @param {MethodRegistration} registration
+   */
+  _add(method, registration) {
+    const previous = this.methods.get(method)
+    this.methods.set(method, registration)
+
+    if (this._mount !== null) {
+      this._mount.router._add(`${this._mount.prefix}.${method}`, registration)
+    } else if (previous && !this._serves(previous)) {
+      // the root router handles the connections, so it cleans up the replaced registration
+      this._removeMethod(previous).catch(safetyCatch)
+    }
+
+    if (!previous) {
+      for (const session of this.connections.values()) {
+        this._respond(session, method)
+      }
+    }
+  }
+
+  /**
+   * Whether a registration is still served, e.g. for another version.
+   * @param {MethodRegistration} registration
+   * @returns {boolean}
+   */
+  _serves(registration) {
+    for (const served of this.methods.values()) {
+      if (served === registration) return true
+    }
+    return false
+  }
+
+  /**
+   * Stop serving a method, here and in the routers this router is mounted in.
+   * @param {string} method
+   */
+  _delete(method) {
+    this.methods.delete(method)
+    for (const session of this.connections.values()) {
+      session.rpc.unrespond(method)
+    }
+
+    if (this._mount !== null) {
+      this._mount.router._delete(`${this._mount.prefix}.${method}`)
+    }
+  }
+
+  /**
+   * Remove a registered RPC method, from existing connections too, and close its middleware.
+   * @param {string} method - RPC method name.
+   * @returns {Promise<void>}
+   */
+  async unmethod(method) {
+    const registration = this.methods.get(method)
+    if (registration === undefined) return
+
+    if (registration.router !== this) {
+      // mounted method, remove it from the router it was registered on
+      let prefix = ''
+      for (let router = registration.router; router !== this; router = router._mount.router) {
+        prefix = router._mount.prefix + '.' + prefix
+      }
+      return registration.router.unmethod(method.slice(prefix.length))
+    }
+
+    this._delete(method)
+    if (!this._serves(registration)) {
+      await this._root()._removeMethod(registration)
+    }
+  }
+
+  /**
+   * Describe the served methods and their encodings, e.g. to generate docs or check compatibility.
+   * @returns {MethodDescription[]} Sorted by method name and version.
+   */
+  describe() {
+    const descriptions = []
+
+    for (const [name, registration] of this.methods) {
+      const { method, version } = parseWireName(name)
+      const { requestEncoding, responseEncoding } = registration.encodings(version)
+
+      descriptions.push({
+        method,
+        version,
+        kind: registration.kind,
+        requestEncoding: describeEncoding(requestEncoding),
+        responseEncoding: describeEncoding(responseEncoding)
+      })
+    }
+
+    return descriptions.sort((a, b) =>
+      a.method === b.method ? a.version - b.version : a.method < b.method ? -1 : 1
+    )
+  }
+
   /**
    * Open hook for router, call into middleware chain
    * @returns {Promise<void>}
    */
   async _open() {
-    await this.middleware.onopen()
+    await this._lifecycle().onopen()
 
     for (const registration of this.methods.values()) {
-      await registration.middleware.onopen()
+      await this._openMethod(registration)
+    }
+  }
+
+  /**
+   * Close the router: stop accepting requests, wait for in-flight requests to settle, destroy
+   * the channels of all connections and then call the `onclose` of all middlewares.
+   * @param {Object} [options]
+   * @param {number} [options.drainTimeout=10000] - Maximum time in ms to wait for in-flight requests.
+   * @returns {Promise<void>}
+   */
+  close({ drainTimeout = this._drainTimeout } = {}) {
+    if (this.closing === null) this._drainTimeout = drainTimeout
+    return super.close()
+  }
+
+  /**
+   * Wait for in-flight requests to settle, up to the drain timeout.
+   * @returns {Promise<void>}
+   */
+  async _drain() {
+    if (this._inflight.size === 0) return
+
+    let timer = null
+    const timeout = new Promise((resolve) => {
+      timer = setTimeout(resolve, this._drainTimeout)
+    })
+
+    try {
+      await Promise.race([Promise.allSettled(this._inflight), timeout])
+    } finally {
+      clearTimeout(timer)
     }
   }
 
   /**
-   * Close hook for router, call into middleware chain
+   * Close hook for router, drain requests and connections, then call into middleware chain
    * @returns {Promise<void>}
    */
   async _close() {
+    await this._drain()
+
+    for (const session of this.connections.values()) {
+      session.rpc.destroy(ProtomuxRpcRouterError.ROUTER_CLOSED())
+    }
+    await Promise.allSettled(this._disconnecting)
+
     let aggregateError = null
-    for (const registration of this.methods.values()) {
+    // a registration is served once per version
+    for (const registration of new Set(this.methods.values())) {
       try {
-        await registration.middleware.onclose()
+        await this._closeMethod(registration)
       } catch (error) {
         aggregateError = ProtomuxRpcRouterError.aggregate(aggregateError, error)
       }
     }
     this.methods.clear()
     try {
-      await this.middleware.onclose()
+      await this._lifecycle().onclose()
     } catch (error) {
       aggregateError = ProtomuxRpcRouterError.aggregate(aggregateError, error)
     }
@@ -271,12 +1336,69 @@ class ProtomuxRpcRouter extends ReadyResource {
       }
     })
 
-    this.middleware.registerMetrics(promClient)
+    new promClient.Gauge({
+      name: 'protomux_rpc_router_nr_validation_errors',
+      help: 'The number of requests rejected by validation',
+      collect() {
+        this.set(self.stats.nrValidationErrors)
+      }
+    })
 
-    for (const registration of this.methods.values()) {
+    new promClient.Gauge({
+      name: 'protomux_rpc_router_nr_in_flight',
+      help: 'The number of requests currently processed by the router',
+      collect() {
+        this.set(self.stats.nrInFlight)
+      }
+    })
+
+    this._metrics = {
+      requests: new promClient.Counter({
+        name: 'protomux_rpc_router_method_requests_total',
+        help: 'The number of requests processed by the router, by method, version and outcome',
+        labelNames: ['method', 'version', 'outcome']
+      }),
+      duration: new promClient.Histogram({
+        name: 'protomux_rpc_router_method_request_duration_seconds',
+        help: 'The duration of requests processed by the router, by method, version and outcome',
+        labelNames: ['method', 'version', 'outcome']
+      })
+    }
+
+    this._lifecycle().registerMetrics(promClient)
+
+    for (const registration of new Set(this.methods.values())) {
       registration.middleware.registerMetrics(promClient)
     }
   }
 }
 
+function noop() {}
+
+function identity(value) {
+  return value
+}
+
+function linkSignal(parent) {
+  const controller = new AbortController()
+  const onabort = () => controller.abort(parent.reason)
+
+  if (parent.aborted) controller.abort(parent.reason)
+  else parent.addEventListener('abort', onabort)
+
+  return { controller, unlink: () => parent.removeEventListener('abort', onabort) }
+}
+
+function isSafeError(error) {
+  return (
+    error instanceof ApplicationError ||
+    error instanceof ProtomuxRpcRouterError ||
+    error instanceof ProtomuxRpcError
+  )
+}
+
+function isValidationError(error) {
+  return error instanceof ProtomuxRpcRouterError && error.code === 'VALIDATION_ERROR'
+}
+
 module.exports = ProtomuxRpcRouter
@@ -0,0 +1,21 @@
+const b4a = require('b4a')
+
+/**
+ * Normalise a public key to the hex string keys are compared as.
+ * @param {Buffer|string} key
+ * @returns {string}
+ */
+exports.toKey = function toKey(key) {
+  return typeof key === 'string' ? key : b4a.toString(key, 'hex')
+}
+
+/**
+ * Whether a method pattern applies to a method, a trailing `*` matches any method with the prefix.
+ * @param {string} pattern
+ * @param {string} method
+ * @returns {boolean}
+ */
+exports.matches = function matches(pattern, method) {
+  if (pattern.endsWith('*')) return method.startsWith(pattern.slice(0, -1))
+  return pattern === method
+}
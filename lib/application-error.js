@@ -0,0 +1,26 @@
+/**
+ * Base class for errors that are safe to send to peers, with a stable `code` and optional
+ * `details`. Extend it for application errors, e.g. `class NotFound extends ApplicationError`.
+ */
+module.exports = class ApplicationError extends Error {
+  /**
+   * @param {string} msg - Message sent to the peer.
+   * @param {string} code - Stable error code sent to the peer.
+   * @param {Object} [options]
+   * @param {any} [options.details] - JSON-serialisable details sent to the peer.
+   * @param {Error} [options.cause] - Underlying error, never sent to the peer.
+   */
+  constructor(msg, code, { details = null, cause } = {}) {
+    super(msg, { cause })
+    this.code = code
+    this.details = details
+
+    if (Error.captureStackTrace) {
+      Error.captureStackTrace(this, new.target)
+    }
+  }
+
+  get name() {
+    return 'ApplicationError'
+  }
+}
@@ -0,0 +1,179 @@
+const ProtomuxRpcRouterError = require('./errors')
+const { toKey, matches } = require('./access')
+
+/**
+ * Allow/deny list of peer public keys.
+ * @typedef {Object} AccessList
+ * @property {Iterable<Buffer|string>|null} [allow] - Only these keys are allowed, if set.
+ * @property {Iterable<Buffer|string>} [deny] - These keys are always rejected.
+ */
+
+/**
+ * Middleware authorizing peers by their public key, globally and per method.
+ */
+module.exports = class Authorize {
+  /**
+   * @param {Object} [options]
+   * @param {Iterable<Buffer|string>|null} [options.allow=null] - Only these keys are allowed, if set.
+   * @param {Iterable<Buffer|string>} [options.deny] - These keys are always rejected.
+   * @param {Object<string, AccessList>} [options.policies] - Access lists per method pattern (`'name'` or `'prefix.*'`).
+   * @param {number} [options.maxViolations=0] - Destroy the connection after this many rejections, 0 to never destroy.
+   * @param {'peer'|'signer'|((ctx: import('..').RpcContext) => Buffer|string|null)} [options.key='peer'] - Key checked
+   *   against the access lists, the peer public key or the request signer verified by `Middleware.signature`.
+   * @param {string} [options.name='authorize'] - Name used for the metrics, must be unique per router.
+   */
+  constructor({
+    allow = null,
+    deny = [],
+    policies = {},
+    maxViolations = 0,
+    key = 'peer',
+    name = 'authorize'
+  } = {}) {
+    this.maxViolations = maxViolations
+    this.name = name
+
+    this._key = typeof key === 'function' ? key : KEYS[key]
+    if (!this._key) throw new Error(`Unknown authorize key: ${key}`)
+
+    this.access = toAccess({ allow, deny })
+    /** @type {Map<string, { allow: Set<string>|null, deny: Set<string> }>} */
+    this.policies = new Map()
+    for (const [pattern, access] of Object.entries(policies)) {
+      this.policy(pattern, access)
+    }
+
+    /** @type {WeakMap<import('..').ConnectionContext, number>} */
+    this._violations = new WeakMap()
+    this.stats = {
+      nrRejections: 0
+    }
+  }
+
+  /**
+   * Set or replace the access list of a method pattern.
+   * @param {string} pattern - Method name, or prefix ending with `*`.
+   * @param {AccessList} access
+   * @returns {this}
+   */
+  policy(pattern, access) {
+    this.policies.set(pattern, toAccess(access))
+    return this
+  }
+
+  /**
+   * Add a key to the allow list, globally or of a method pattern.
+   * @param {Buffer|string} key
+   * @param {string} [pattern]
+   * @returns {this}
+   */
+  allow(key, pattern) {
+    const access = this._accessOf(pattern)
+    if (access.allow === null) access.allow = new Set()
+    access.allow.add(toKey(key))
+    return this
+  }
+
+  /**
+   * Remove a key from the allow list, globally or of a method pattern.
+   * @param {Buffer|string} key
+   * @param {string} [pattern]
+   * @returns {this}
+   */
+  disallow(key, pattern) {
+    this._accessOf(pattern).allow?.delete(toKey(key))
+    return this
+  }
+
+  /**
+   * Add a key to the deny list, globally or of a method pattern.
+   * @param {Buffer|string} key
+   * @param {string} [pattern]
+   * @returns {this}
+   */
+  deny(key, pattern) {
+    this._accessOf(pattern).deny.add(toKey(key))
+    return this
+  }
+
+  /**
+   * Remove a key from the deny list, globally or of a method pattern.
+   * @param {Buffer|string} key
+   * @param {string} [pattern]
+   * @returns {this}
+   */
+  undeny(key, pattern) {
+    this._accessOf(pattern).deny.delete(toKey(key))
+    return this
+  }
+
+  /**
+   * Check whether a peer may call a method.
+   * @param {Buffer|string} key - Peer public key.
+   * @param {string} method - RPC method name.
+   * @returns {boolean}
+   */
+  isAllowed(key, method) {
+    key = toKey(key)
+
+    if (!isAllowed(this.access, key)) return false
+
+    for (const [pattern, access] of this.policies) {
+      if (matches(pattern, method) && !isAllowed(access, key)) return false
+    }
+    return true
+  }
+
+  onrequest(ctx, next) {
+    const key = this._key(ctx)
+    if (key !== null && key !== undefined && this.isAllowed(key, ctx.method)) {
+      return next()
+    }
+
+    this.stats.nrRejections++
+
+    if (this.maxViolations > 0) {
+      const violations = (this._violations.get(ctx.session) || 0) + 1
+      this._violations.set(ctx.session, violations)
+      if (violations >= this.maxViolations) ctx.connection.destroy()
+    }
+
+    throw ProtomuxRpcRouterError.FORBIDDEN(ctx.method)
+  }
+
+  registerMetrics(promClient) {
+    const self = this
+
+    new promClient.Gauge({
+      name: `protomux_rpc_router_${this.name}_nr_rejections`,
+      help: 'The number of requests rejected by the authorization',
+      collect() {
+        this.set(self.stats.nrRejections)
+      }
+    })
+  }
+
+  _accessOf(pattern) {
+    if (pattern === undefined) return this.access
+    if (!this.policies.has(pattern)) this.policy(pattern, {})
+    return this.policies.get(pattern)
+  }
+}
+
+const KEYS = {
+  peer: (ctx) => ctx.connection.remotePublicKey,
+  // unsigned requests have no key, and are rejected
+  signer: (ctx) => ctx.signer ?? null
+}
+
+function toAccess({ allow = null, deny = [] }) {
+  return {
+    allow: allow === null ? null : new Set(Array.from(allow, toKey)),
+    deny: new Set(Array.from(deny, toKey))
+  }
+}
+
+function isAllowed(access, key) {
+  if (access.deny.has(key)) return false
+  return access.allow === null || access.allow.has(key)
+}
@@ -0,0 +1,175 @@
+const b4a = require('b4a')
+
+/**
+ * Middleware caching the encoded responses of idempotent methods.
+ */
+module.exports = class Cache {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.ttl=60000] - Time in ms a response stays cached, 0 to never expire.
+   * @param {number} [options.maxEntries=1000] - Maximum number of cached responses.
+   * @param {number} [options.maxBytes=Infinity] - Maximum total byte length of the cached responses.
+   * @param {(ctx: import('..').RpcContext) => string} [options.key] - Cache key of a request within its method, defaults to the request bytes.
+   * @param {string} [options.name='cache'] - Name used for the metrics, must be unique per router.
+   */
+  constructor({
+    ttl = 60000,
+    maxEntries = 1000,
+    maxBytes = Infinity,
+    key = null,
+    name = 'cache'
+  } = {}) {
+    this.ttl = ttl
+    this.maxEntries = maxEntries
+    this.maxBytes = maxBytes
+    this.name = name
+
+    this._key = key || ((ctx) => b4a.toString(ctx.value, 'hex'))
+
+    // insertion order is the LRU order, hits are moved to the end
+    /** @type {Map<string, { method: string, key: string, value: Buffer, expires: number }>} */
+    this.entries = new Map()
+    // versions cached per method, to find the entries of a request across versions
+    /** @type {Map<string, Set<number>>} */
+    this._versions = new Map()
+    this.bytes = 0
+    // bumped on invalidation, so responses computed before it are not cached
+    this._generation = 0
+    this.stats = {
+      nrHits: 0,
+      nrMisses: 0,
+      nrEvictions: 0
+    }
+  }
+
+  async onrequest(ctx, next) {
+    // only plain methods
+    if (ctx.kind !== 'method') return next()
+
+    const key = this._key(ctx)
+    const id = toId(ctx.method, ctx.version, key)
+    const entry = this.entries.get(id)
+
+    if (entry !== undefined) {
+      if (entry.expires === 0 || entry.expires > Date.now()) {
+        this.stats.nrHits++
+        this.entries.delete(id)
+        this.entries.set(id, entry)
+        return entry.value
+      }
+      this._delete(id, entry)
+    }
+
+    this.stats.nrMisses++
+
+    const generation = this._generation
+    const value = await next()
+    if (generation === this._generation) this._set(id, ctx.method, ctx.version, key, value)
+    return value
+  }
+
+  /**
+   * Drop cached responses of a method, all of them or only the one of a request.
+   * @param {string} method - RPC method name.
+   * @param {Buffer|string} [key] - Raw request, or key returned by the `key` option.
+   * @returns {this}
+   */
+  invalidate(method, key) {
+    this._generation++
+
+    if (key !== undefined) {
+      if (typeof key !== 'string') key = b4a.toString(key, 'hex')
+      for (const version of this._versions.get(method) ?? []) {
+        const id = toId(method, version, key)
+        const entry = this.entries.get(id)
+        if (entry !== undefined) this._delete(id, entry)
+      }
+      return this
+    }
+
+    for (const [id, entry] of this.entries) {
+      if (entry.method === method) this._delete(id, entry)
+    }
+    return this
+  }
+
+  /**
+   * Drop all cached responses.
+   * @returns {this}
+   */
+  clear() {
+    this._generation++
+    this.entries.clear()
+    this.bytes = 0
+    return this
+  }
+
+  async onclose() {
+    this.clear()
+  }
+
+  registerMetrics(promClient) {
+    const self = this
+
+    new promClient.Gauge({
+      name: `protomux_rpc_router_${this.name}_nr_hits`,
+      help: 'The number of requests served from the cache',
+      collect() {
+        this.set(self.stats.nrHits)
+      }
+    })
+
+    new promClient.Gauge({
+      name: `protomux_rpc_router_${this.name}_nr_misses`,
+      help: 'The number of requests not found in the cache',
+      collect() {
+        this.set(self.stats.nrMisses)
+      }
+    })
+
+    new promClient.Gauge({
+      name: `protomux_rpc_router_${this.name}_nr_evictions`,
+      help: 'The number of responses evicted from the cache to stay within its limits',
+      collect() {
+        this.set(self.stats.nrEvictions)
+      }
+    })
+
+    new promClient.Gauge({
+      name: `protomux_rpc_router_${this.name}_bytes`,
+      help: 'The total byte length of the cached responses',
+      collect() {
+        this.set(self.bytes)
+      }
+    })
+  }
+
+  _set(id, method, version, key, value) {
+    const previous = this.entries.get(id)
+    if (previous !== undefined) this._delete(id, previous)
+
+    if (value.byteLength > this.maxBytes) return
+
+    const expires = this.ttl === 0 ? 0 : Date.now() + this.ttl
+    this.entries.set(id, { method, key, value, expires })
+    if (!this._versions.has(method)) this._versions.set(method, new Set())
+    this._versions.get(method).add(version)
+    this.bytes += value.byteLength
+
+    for (const [oldest, entry] of this.entries) {
+      if (this.entries.size <= this.maxEntries && this.bytes <= this.maxBytes) break
+      this._delete(oldest, entry)
+      this.stats.nrEvictions++
+    }
+  }
+
+  _delete(id, entry) {
+    this.entries.delete(id)
+    this.bytes -= entry.value.byteLength
+  }
+}
+
+// versions of a method encode their responses differently
+function toId(method, version, key) {
+  return `${method}@${version}\n${key}`
+}
@@ -0,0 +1,62 @@
+const cenc = require('compact-encoding')
+const { TraceIds } = require('./trace')
+const { Metadata } = require('./envelope')
+
+// built-in method carrying a request together with its trace context and metadata, so plain requests are never framed
+exports.CALL = '_router.call'
+
+const TRACE = 1
+const SAMPLED = 2
+// the response is enveloped too
+const METADATA = 4
+const FLAGS = TRACE | SAMPLED | METADATA
+
+/**
+ * Wrap a request encoding to send `{ method, trace, metadata, value }` to the call method, with the name
+ * the method is served under, the trace context and the metadata first. `trace` and `metadata` are optional.
+ * @param {import('compact-encoding').Encoder} encoding
+ * @returns {import('compact-encoding').Encoder}
+ */
+const framed = (exports.framed = function framed(encoding) {
+  return {
+    preencode(state, m) {
+      cenc.uint.preencode(state, flagsOf(m))
+      cenc.string.preencode(state, m.method)
+      if (m.trace) TraceIds.preencode(state, m.trace)
+      if (m.metadata) Metadata.preencode(state, m.metadata)
+      encoding.preencode(state, m.value)
+    },
+    encode(state, m) {
+      cenc.uint.encode(state, flagsOf(m))
+      cenc.string.encode(state, m.method)
+      if (m.trace) TraceIds.encode(state, m.trace)
+      if (m.metadata) Metadata.encode(state, m.metadata)
+      encoding.encode(state, m.value)
+    },
+    decode(state) {
+      const flags = cenc.uint.decode(state)
+      if ((flags & ~FLAGS) !== 0) {
+        throw new Error(`Unknown call flags ${flags}`)
+      }
+
+      const method = cenc.string.decode(state)
+      const trace =
+        (flags & TRACE) === 0
+          ? null
+          : { ...TraceIds.decode(state), sampled: (flags & SAMPLED) !== 0 }
+      const metadata = (flags & METADATA) === 0 ? null : Metadata.decode(state)
+      return { method, trace, metadata, value: encoding.decode(state) }
+    }
+  }
+})
+
+/**
+ * Call of a raw request, as handled by the router.
+ */
+exports.Call = framed(cenc.raw)
+
+function flagsOf(m) {
+  let flags = m.metadata ? METADATA : 0
+  if (m.trace) flags |= TRACE | (m.trace.sampled ? SAMPLED : 0)
+  return flags
+}
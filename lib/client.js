@@ -0,0 +1,355 @@
+const ProtomuxRPC = require('protomux-rpc')
+const ReadyResource = require('ready-resource')
+const HyperswarmCapability = require('hyperswarm-capability')
+const cenc = require('compact-encoding')
+const safetyCatch = require('safety-catch')
+const { STREAM_NEXT, STREAM_CANCEL, StreamId, StreamChunk } = require('./stream')
+const { wireName } = require('./versions')
+const { DESCRIBE } = require('./describe')
+const { CALL, framed } = require('./call')
+const { enveloped } = require('./envelope')
+const { sign } = require('./signature')
+
+const Handshake = HyperswarmCapability.Encoding
+
+/**
+ * Encodings declared for a method, shared between the router and its clients.
+ * @typedef {Object} MethodSchema
+ * @property {import('compact-encoding').Encoder} [requestEncoding] - Defaults to `cenc.raw`.
+ * @property {import('compact-encoding').Encoder} [responseEncoding] - Defaults to `cenc.raw`.
+ */
+
+/**
+ * Client counterpart of the router that applies method encodings automatically.
+ */
+class ProtomuxRpcClient extends ReadyResource {
+  /**
+   * Create a new client on top of an outgoing connection.
+   * @param {any} connection - HyperDHT connection (duplex stream with `remotePublicKey`).
+   * @param {Object} [options]
+   * @param {Map<string, MethodSchema>|Object<string, MethodSchema>} [options.methods] - Method schema, or a router's `methods` map.
+   * @param {Buffer|string} [options.id=connection.remotePublicKey] - Optional channel id; defaults to the server public key.
+   * @param {Buffer} [options.namespace] - Optional namespace for capability.
+   * @param {Buffer} [options.capability] - Optional capability key. Enables the capability handshake.
+   * @param {Buffer[]} [options.capabilities] - Optional set of capability keys accepted from the router, the first one is sent.
+   * @param {boolean} [options.tracing=false] - Send the trace context of calls passing one, for routers enabling `tracing`.
+   * @param {boolean} [options.envelope=false] - Send metadata alongside requests and get it back with responses, for routers enabling `envelope`.
+   * @param {{ publicKey: Buffer, secretKey: Buffer }} [options.signer] - Key pair signing each request, for `Middleware.signature`.
+   *   Requires `envelope`.
+   */
+  constructor(
+    connection,
+    {
+      methods = null,
+      id = connection.remotePublicKey,
+      namespace = undefined,
+      capability = null,
+      capabilities = [],
+      tracing = false,
+      envelope = false,
+      signer = null
+    } = {}
+  ) {
+    super()
+
+    if (signer !== null && !envelope) {
+      throw new TypeError('Signing requests requires the envelope option')
+    }
+
+    this._tracing = tracing
+    this._envelope = envelope
+    this._signer = signer
+
+    this._cap = new HyperswarmCapability(namespace)
+    /** @type {Buffer[]} */
+    this._capabilities = capability ? [capability, ...capabilities] : capabilities.slice()
+
+    /** @type {Map<string, MethodSchema>} */
+    this.methods = toMethodMap(methods)
+    // version of each method negotiated with the router, when calls list several versions
+    /** @type {Map<string, number>} */
+    this._versions = new Map()
+    this.connection = connection
+
+    this.rpc = new ProtomuxRPC(connection, {
+      id,
+      valueEncoding: null,
+      handshakeEncoding: this._capabilities.length > 0 ? Handshake : null,
+      handshake:
+        this._capabilities.length > 0
+          ? { capability: this._cap.generate(connection, this._capabilities[0]) }
+          : null
+    })
+
+    if (this._capabilities.length > 0) {
+      this.rpc.on('open', (handshake) => {
+        if (
+          !handshake?.capability ||
+          !this._capabilities.some((key) => this._cap.verify(connection, key, handshake.capability))
+        ) {
+          this.rpc.destroy(new Error('Remote sent invalid capability'))
+          this.emit('capability-error', { connection })
+        }
+      })
+    }
+  }
+
+  /**
+   * Call a remote method, encoding the request and decoding the response with the method schema.
+   * @param {string} method - RPC method name.
+   * @param {any} value - Request value.
+   * @param {Object} [options]
+   * @param {import('compact-encoding').Encoder} [options.requestEncoding] - Overrides the schema request encoding.
+   * @param {import('compact-encoding').Encoder} [options.responseEncoding] - Overrides the schema response encoding.
+   * @param {number|number[]} [options.version=1] - Version of the method, or versions to try from the preferred one.
+   * @param {import('./trace').TraceContext} [options.trace] - Trace context of the caller, e.g. `ctx.span` in a handler.
+   * @param {Object<string, string>} [options.metadata] - Metadata sent alongside the request, if envelopes are enabled.
+   * @param {boolean} [options.withMetadata=false] - Resolve to `{ value, metadata }` with the response metadata.
+   * @param {number} [options.timeout] - Optional request timeout in ms.
+   * @returns {Promise<any>} Rejects with the protomux-rpc error; for errors sent by the router,
+   * its `cause` has the `code`, `requestId` and `details`.
+   */
+  async call(method, value, options = {}) {
+    const { version = 1 } = options
+    if (!Array.isArray(version)) return this._call(method, value, version, options)
+
+    // start from the version negotiated before, and fall back to older ones the router serves
+    const negotiated = this._versions.get(method)
+    const versions = version.includes(negotiated)
+      ? version.slice(version.indexOf(negotiated))
+      : version
+
+    for (let i = 0; i < versions.length; i++) {
+      try {
+        const res = await this._call(method, value, versions[i], options)
+        this._versions.set(method, versions[i])
+        return res
+      } catch (error) {
+        // sent through the call method, the unknown method is the cause of a request error
+        const unknown = error.code === 'UNKNOWN_METHOD' || error.cause?.code === 'UNKNOWN_METHOD'
+        if (i === versions.length - 1 || !unknown) throw error
+      }
+    }
+  }
+
+  async _call(method, value, version, options) {
+    const { requestEncoding, responseEncoding } = this._encodingsOf(method, version, options)
+    const { timeout, withMetadata = false } = options
+    const request = this._wrap(method, version, value, requestEncoding, options)
+
+    const res = await this._request(request.method, request.value, {
+      requestEncoding: request.requestEncoding,
+      responseEncoding: this._envelope ? enveloped(responseEncoding) : responseEncoding,
+      timeout
+    })
+
+    if (!this._envelope) return withMetadata ? { value: res, metadata: {} } : res
+    return withMetadata ? res : res.value
+  }
+
+  async _request(method, value, options) {
+    try {
+      return await this.rpc.request(method, value, options)
+    } catch (error) {
+      throw withRequestContext(error)
+    }
+  }
+
+  // requests with a trace context or metadata are sent to the call method, naming the called method
+  _wrap(method, version, value, requestEncoding, { trace = null, metadata = {} }) {
+    const name = wireName(method, version)
+
+    if (this._signer !== null) {
+      // the signature covers the encoded request
+      value = cenc.encode(requestEncoding, value)
+      requestEncoding = cenc.raw
+      metadata = { ...metadata, ...sign(this._signer, { method, version, value }) }
+    }
+    if (!this._tracing) trace = null
+    if (!this._envelope) metadata = null
+    if (trace === null && metadata === null) {
+      return { method: name, value, requestEncoding }
+    }
+
+    return {
+      method: CALL,
+      value: { method: name, trace, metadata, value },
+      requestEncoding: framed(requestEncoding)
+    }
+  }
+
+  /**
+   * Encodings of a version of a method, from the options or the method schema.
+   * @param {string} method
+   * @param {number} version
+   * @param {Object} options
+   * @returns {MethodSchema}
+   */
+  _encodingsOf(method, version, options) {
+    let schema = this.methods.get(wireName(method, version))
+    // router registrations serve older versions with the encodings of their adapter
+    if (typeof schema?.encodings === 'function') schema = schema.encodings(version)
+
+    const {
+      requestEncoding = schema?.requestEncoding ?? cenc.raw,
+      responseEncoding = schema?.responseEncoding ?? cenc.raw
+    } = options
+    return { requestEncoding, responseEncoding }
+  }
+
+  /**
+   * Send a one-way event to a remote event method, without waiting for a response.
+   * @param {string} method - RPC method name.
+   * @param {any} value - Event value.
+   * @param {Object} [options]
+   * @param {import('compact-encoding').Encoder} [options.encoding] - Overrides the schema request encoding.
+   * @param {number} [options.version=1] - Version of the method.
+   * @param {import('./trace').TraceContext} [options.trace] - Trace context of the caller.
+   * @param {Object<string, string>} [options.metadata] - Metadata sent alongside the event, if envelopes are enabled.
+   */
+  event(method, value, options = {}) {
+    const { encoding, version = 1 } = options
+    const { requestEncoding } = this._encodingsOf(method, version, { requestEncoding: encoding })
+    const event = this._wrap(method, version, value, requestEncoding, options)
+    this.rpc.event(event.method, event.value, {
+      requestEncoding: event.requestEncoding
+    })
+  }
+
+  /**
+   * Listen to events pushed by the router.
+   * @param {string} event - Event name.
+   * @param {Object} [options]
+   * @param {import('compact-encoding').Encoder} [options.encoding=cenc.raw] - Encoding of the event value.
+   * @param {(value: any) => void|Promise<void>} handler - Called with each decoded event value.
+   * @returns {this}
+   */
+  listen(event, options, handler) {
+    if (typeof options === 'function') {
+      handler = options
+      options = {}
+    }
+    const { encoding = cenc.raw } = options
+
+    this.rpc.respond(
+      event,
+      { requestEncoding: encoding, responseEncoding: null },
+      async (value) => {
+        await handler(value)
+      }
+    )
+    return this
+  }
+
+  /**
+   * Stop listening to an event.
+   * @param {string} event - Event name.
+   * @returns {this}
+   */
+  unlisten(event) {
+    this.rpc.unrespond(event)
+    return this
+  }
+
+  /**
+   * Call a remote stream method and iterate over its chunks, decoded with the method schema.
+   * Chunks are pulled one at a time, and leaving the loop early cancels the stream on the router.
+   * @param {string} method - RPC method name.
+   * @param {any} value - Request value.
+   * @param {Object} [options]
+   * @param {import('compact-encoding').Encoder} [options.requestEncoding] - Overrides the schema request encoding.
+   * @param {import('compact-encoding').Encoder} [options.responseEncoding] - Overrides the schema encoding of the chunks.
+   * @param {number} [options.version=1] - Version of the method.
+   * @param {import('./trace').TraceContext} [options.trace] - Trace context of the caller.
+   * @param {Object<string, string>} [options.metadata] - Metadata sent alongside the request opening the stream.
+   * @param {number} [options.timeout] - Optional timeout in ms of each pull.
+   * @returns {AsyncGenerator<any>}
+   */
+  async *stream(method, value, options = {}) {
+    const { version = 1, trace, metadata, timeout } = options
+    const { requestEncoding, responseEncoding } = this._encodingsOf(method, version, options)
+
+    const id = await this._call(method, value, version, {
+      requestEncoding,
+      responseEncoding: StreamId,
+      trace,
+      metadata,
+      timeout
+    })
+
+    let done = false
+    try {
+      while (true) {
+        const next = await this._request(STREAM_NEXT, id, {
+          requestEncoding: StreamId,
+          responseEncoding: StreamChunk,
+          timeout
+        })
+        if (next.done) {
+          done = true
+          return
+        }
+        yield cenc.decode(responseEncoding, next.chunk)
+      }
+    } finally {
+      // a no-op on the router if the stream already ended there
+      if (!done) {
+        this._request(STREAM_CANCEL, id, {
+          requestEncoding: StreamId,
+          responseEncoding: cenc.none
+        }).catch(safetyCatch)
+      }
+    }
+  }
+
+  /**
+   * Describe the methods served by the router, if it enables `_router.describe`.
+   * @param {Object} [options]
+   * @param {number} [options.timeout] - Optional request timeout in ms.
+   * @returns {Promise<Object[]>} The `router.describe()` result.
+   */
+  describe({ timeout } = {}) {
+    return this._request(DESCRIBE, null, {
+      requestEncoding: cenc.none,
+      responseEncoding: cenc.json,
+      timeout
+    })
+  }
+
+  /**
+   * Close hook for client, destroy the underlying channel
+   * @returns {Promise<void>}
+   */
+  async _close() {
+    this.rpc.destroy()
+  }
+}
+
+// the router sends the requestId as error context, as JSON together with the details if any
+function withRequestContext(error) {
+  const cause = error.cause
+  if (!cause || typeof cause.context !== 'string') return error
+
+  cause.requestId = cause.context
+  cause.details = null
+
+  if (cause.context.startsWith('{')) {
+    try {
+      const { requestId, details } = JSON.parse(cause.context)
+      cause.requestId = requestId
+      cause.details = details
+    } catch {
+      // not sent by the router, keep the raw context
+    }
+  }
+
+  return error
+}
+
+function toMethodMap(methods) {
+  if (methods === null) return new Map()
+  if (methods instanceof Map) return methods
+  return new Map(Object.entries(methods))
+}
+
+module.exports = ProtomuxRpcClient
@@ -0,0 +1,150 @@
+const b4a = require('b4a')
+const ProtomuxRpcRouterError = require('./errors')
+
+/**
+ * Middleware capping the number of in-flight requests, queueing the overflow.
+ */
+module.exports = class Concurrency {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.maxInFlight=64] - Maximum number of requests running at once.
+   * @param {number} [options.maxInFlightPerPeer=maxInFlight] - Maximum number of requests running at once per peer.
+   * @param {number} [options.maxQueue=256] - Maximum number of requests waiting for a slot.
+   * @param {number} [options.queueTimeout=10000] - Maximum time in ms a request waits for a slot.
+   * @param {string} [options.name='concurrency'] - Name used for the metrics, must be unique per router.
+   */
+  constructor({
+    maxInFlight = 64,
+    maxInFlightPerPeer = maxInFlight,
+    maxQueue = 256,
+    queueTimeout = 10000,
+    name = 'concurrency'
+  } = {}) {
+    this.maxInFlight = maxInFlight
+    this.maxInFlightPerPeer = maxInFlightPerPeer
+    this.maxQueue = maxQueue
+    this.queueTimeout = queueTimeout
+    this.name = name
+
+    this.inFlight = 0
+    /** @type {Map<string, number>} */
+    this.inFlightPerPeer = new Map()
+    this.queue = []
+  }
+
+  async onrequest(ctx, next) {
+    const peer = b4a.toString(ctx.connection.remotePublicKey, 'hex')
+
+    if (this._hasCapacity(peer)) this._acquire(peer)
+    else await this._enqueue(peer, ctx.signal)
+
+    try {
+      return await next()
+    } finally {
+      this._release(peer)
+    }
+  }
+
+  async onclose() {
+    const queue = this.queue
+    this.queue = []
+
+    for (const waiter of queue) {
+      waiter.reject(ProtomuxRpcRouterError.ROUTER_CLOSED())
+    }
+  }
+
+  registerMetrics(promClient) {
+    const self = this
+
+    new promClient.Gauge({
+      name: `protomux_rpc_router_${this.name}_in_flight`,
+      help: 'The number of requests currently running',
+      collect() {
+        this.set(self.inFlight)
+      }
+    })
+
+    new promClient.Gauge({
+      name: `protomux_rpc_router_${this.name}_queue_depth`,
+      help: 'The number of requests waiting for a slot',
+      collect() {
+        this.set(self.queue.length)
+      }
+    })
+  }
+
+  _hasCapacity(peer) {
+    return (
+      this.inFlight < this.maxInFlight &&
+      (this.inFlightPerPeer.get(peer) || 0) < this.maxInFlightPerPeer
+    )
+  }
+
+  _acquire(peer) {
+    this.inFlight++
+    this.inFlightPerPeer.set(peer, (this.inFlightPerPeer.get(peer) || 0) + 1)
+  }
+
+  _release(peer) {
+    this.inFlight--
+
+    const count = this.inFlightPerPeer.get(peer) - 1
+    if (count === 0) this.inFlightPerPeer.delete(peer)
+    else this.inFlightPerPeer.set(peer, count)
+
+    this._drain()
+  }
+
+  _enqueue(peer, signal) {
+    if (this.queue.length >= this.maxQueue) {
+      return Promise.reject(ProtomuxRpcRouterError.QUEUE_FULL())
+    }
+    if (signal?.aborted) {
+      return Promise.reject(signal.reason)
+    }
+
+    return new Promise((resolve, reject) => {
+      const cleanup = () => {
+        clearTimeout(waiter.timer)
+        if (signal) signal.removeEventListener('abort', onabort)
+      }
+
+      const waiter = {
+        peer,
+        timer: null,
+        resolve: () => {
+          cleanup()
+          resolve()
+        },
+        reject: (error) => {
+          cleanup()
+          const index = this.queue.indexOf(waiter)
+          if (index !== -1) this.queue.splice(index, 1)
+          reject(error)
+        }
+      }
+
+      const onabort = () => waiter.reject(signal.reason)
+      if (signal) signal.addEventListener('abort', onabort)
+
+      waiter.timer = setTimeout(
+        () => waiter.reject(ProtomuxRpcRouterError.QUEUE_TIMEOUT(this.queueTimeout)),
+        this.queueTimeout
+      )
+
+      this.queue.push(waiter)
+    })
+  }
+
+  _drain() {
+    for (let i = 0; i < this.queue.length && this.inFlight < this.maxInFlight; i++) {
+      const waiter = this.queue[i]
+      if (!this._hasCapacity(waiter.peer)) continue
+
+      this.queue.splice(i--, 1)
+      this._acquire(waiter.peer)
+      waiter.resolve()
+    }
+  }
+}
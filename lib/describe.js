@@ -0,0 +1,23 @@
+const cenc = require('compact-encoding')
+
+// built-in method describing the methods a router serves, when enabled
+exports.DESCRIBE = '_router.describe'
+
+// names of the compact-encoding encoders, the first name of an aliased one is used
+const names = new Map()
+for (const [name, encoding] of Object.entries(cenc)) {
+  if (isEncoding(encoding) && !names.has(encoding)) names.set(encoding, name)
+}
+
+/**
+ * Describe an encoding by the name of the compact-encoding encoder, or its own `name`.
+ * @param {import('compact-encoding').Encoder} encoding
+ * @returns {string} `'custom'` for unnamed encodings.
+ */
+exports.describeEncoding = function describeEncoding(encoding) {
+  return names.get(encoding) ?? (typeof encoding.name === 'string' ? encoding.name : 'custom')
+}
+
+function isEncoding(encoding) {
+  return encoding !== null && typeof encoding === 'object' && typeof encoding.encode === 'function'
+}
@@ -0,0 +1,45 @@
+const cenc = require('compact-encoding')
+
+/**
+ * Encoding of a metadata map, sent with calls and before their response when envelopes are enabled.
+ */
+const Metadata = {
+  preencode(state, m) {
+    cenc.stringRecord.preencode(state, m)
+  },
+  encode(state, m) {
+    cenc.stringRecord.encode(state, m)
+  },
+  decode(state) {
+    return { ...cenc.stringRecord.decode(state) }
+  }
+}
+
+exports.Metadata = Metadata
+
+/**
+ * Wrap an encoding to send `{ metadata, value }` with the metadata map first.
+ * @param {import('compact-encoding').Encoder} encoding
+ * @returns {import('compact-encoding').Encoder}
+ */
+const enveloped = (exports.enveloped = function enveloped(encoding) {
+  return {
+    preencode(state, m) {
+      Metadata.preencode(state, m.metadata)
+      encoding.preencode(state, m.value)
+    },
+    encode(state, m) {
+      Metadata.encode(state, m.metadata)
+      encoding.encode(state, m.value)
+    },
+    decode(state) {
+      const metadata = Metadata.decode(state)
+      return { metadata, value: encoding.decode(state) }
+    }
+  }
+})
+
+/**
+ * Envelope of a raw request or response, as handled by the router.
+ */
+exports.Envelope = enveloped(cenc.raw)
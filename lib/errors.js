@@ -1,6 +1,6 @@
 class ProtomuxRpcRouterError extends Error {
-  constructor(msg, code, fn = ProtomuxRpcRouterError) {
-    super(`${code}: ${msg}`)
+  constructor(msg, code, fn = ProtomuxRpcRouterError, { cause } = {}) {
+    super(`${code}: ${msg}`, { cause })
     this.code = code
 
     if (Error.captureStackTrace) {
@@ -28,6 +28,138 @@ class ProtomuxRpcRouterError extends Error {
     )
   }
 
+  static ROUTER_ALREADY_OPEN() {
+    return new ProtomuxRpcRouterError(
+      'The router is already open',
+      'ROUTER_ALREADY_OPEN',
+      ProtomuxRpcRouterError.ROUTER_ALREADY_OPEN
+    )
+  }
+
+  static INVALID_MOUNT(prefix) {
+    return new ProtomuxRpcRouterError(
+      `Cannot mount router under '${prefix}', it is open or already mounted`,
+      'INVALID_MOUNT',
+      ProtomuxRpcRouterError.INVALID_MOUNT
+    )
+  }
+
+  static INVALID_METHOD_NAME(name) {
+    return new ProtomuxRpcRouterError(
+      `Method names cannot contain '@', got '${name}'`,
+      'INVALID_METHOD_NAME',
+      ProtomuxRpcRouterError.INVALID_METHOD_NAME
+    )
+  }
+
+  static LAST_CAPABILITY() {
+    return new ProtomuxRpcRouterError(
+      'Cannot remove the last capability, add its replacement first',
+      'LAST_CAPABILITY',
+      ProtomuxRpcRouterError.LAST_CAPABILITY
+    )
+  }
+
+  static RATE_LIMITED() {
+    return new ProtomuxRpcRouterError(
+      'Too many requests',
+      'RATE_LIMITED',
+      ProtomuxRpcRouterError.RATE_LIMITED
+    )
+  }
+
+  static REQUEST_TIMEOUT(timeout) {
+    return new ProtomuxRpcRouterError(
+      `Request timed out after ${timeout}ms`,
+      'REQUEST_TIMEOUT',
+      ProtomuxRpcRouterError.REQUEST_TIMEOUT
+    )
+  }
+
+  static QUEUE_FULL() {
+    return new ProtomuxRpcRouterError(
+      'Too many requests queued',
+      'QUEUE_FULL',
+      ProtomuxRpcRouterError.QUEUE_FULL
+    )
+  }
+
+  static QUEUE_TIMEOUT(timeout) {
+    return new ProtomuxRpcRouterError(
+      `Request waited more than ${timeout}ms in queue`,
+      'QUEUE_TIMEOUT',
+      ProtomuxRpcRouterError.QUEUE_TIMEOUT
+    )
+  }
+
+  static FORBIDDEN(method) {
+    return new ProtomuxRpcRouterError(
+      `Not allowed to call '${method}'`,
+      'FORBIDDEN',
+      ProtomuxRpcRouterError.FORBIDDEN
+    )
+  }
+
+  static VALIDATION_ERROR(field, reason) {
+    const error = new ProtomuxRpcRouterError(
+      field === null ? `Invalid request: ${reason}` : `Invalid field '${field}': ${reason}`,
+      'VALIDATION_ERROR',
+      ProtomuxRpcRouterError.VALIDATION_ERROR
+    )
+    error.field = field
+    error.details = { field }
+    return error
+  }
+
+  static INVALID_SIGNATURE(reason) {
+    return new ProtomuxRpcRouterError(
+      `Invalid request signature: ${reason}`,
+      'INVALID_SIGNATURE',
+      ProtomuxRpcRouterError.INVALID_SIGNATURE
+    )
+  }
+
+  static CONNECTION_NOT_FOUND() {
+    return new ProtomuxRpcRouterError(
+      'The connection is not handled by the router',
+      'CONNECTION_NOT_FOUND',
+      ProtomuxRpcRouterError.CONNECTION_NOT_FOUND
+    )
+  }
+
+  static STREAM_NOT_FOUND(id) {
+    return new ProtomuxRpcRouterError(
+      `Stream ${id} not found`,
+      'STREAM_NOT_FOUND',
+      ProtomuxRpcRouterError.STREAM_NOT_FOUND
+    )
+  }
+
+  static STREAM_CANCELLED() {
+    return new ProtomuxRpcRouterError(
+      'The stream was cancelled',
+      'STREAM_CANCELLED',
+      ProtomuxRpcRouterError.STREAM_CANCELLED
+    )
+  }
+
+  static TOO_MANY_STREAMS(max) {
+    return new ProtomuxRpcRouterError(
+      `Too many open streams, at most ${max} per connection`,
+      'TOO_MANY_STREAMS',
+      ProtomuxRpcRouterError.TOO_MANY_STREAMS
+    )
+  }
+
+  static INTERNAL_ERROR(requestId, cause) {
+    return new ProtomuxRpcRouterError(
+      `Internal error (request ${requestId})`,
+      'INTERNAL_ERROR',
+      ProtomuxRpcRouterError.INTERNAL_ERROR,
+      { cause }
+    )
+  }
+
   /**
    * Aggregate multiple errors into a single AggregateError, flattening nested errors, skip null errors.
    * @param {...Error} errors - The errors to aggregate.
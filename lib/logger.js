@@ -0,0 +1,118 @@
+const b4a = require('b4a')
+const { matches } = require('./access')
+
+/**
+ * Structured record logged for each request.
+ * @typedef {Object} LogRecord
+ * @property {string} requestId
+ * @property {string} method
+ * @property {number} version
+ * @property {string|null} peer - Hex encoded public key of the peer.
+ * @property {string|null} remoteHost - Host of the peer, if known.
+ * @property {number} duration - Duration of the request in ms.
+ * @property {'ok'|'error'} outcome
+ * @property {string|null} code - Code of the error, if any.
+ * @property {string} [error] - Message of the error, if any.
+ */
+
+/**
+ * Sink of the records, a pino-compatible logger, a stream of JSON lines or a function.
+ * @typedef {{ info: Function, warn: Function, error: Function }|{ write: (line: string) => any }|((record: LogRecord, level: string) => void)} LogSink
+ */
+
+/**
+ * Middleware logging a structured record per request.
+ */
+module.exports = class Logger {
+  /**
+   * @param {Object} [options]
+   * @param {LogSink} [options.sink] - Where records go, defaults to JSON lines on the console.
+   * @param {number|Object<string, number>} [options.sample=1] - Ratio of successful requests logged, or ratios per
+   *   method pattern (`'name'`, `'prefix.*'` or `'*'`). Failed requests are always logged.
+   * @param {string[]|((ctx: import('..').RpcContext) => boolean)} [options.skip] - Method patterns, or a predicate,
+   *   of requests that are not logged.
+   */
+  constructor({ sink = null, sample = 1, skip = [] } = {}) {
+    this._write = toWriter(sink)
+    this._sample = typeof sample === 'number' ? () => sample : (method) => ratioOf(sample, method)
+    this._skip =
+      typeof skip === 'function'
+        ? skip
+        : (ctx) => skip.some((pattern) => matches(pattern, ctx.method))
+  }
+
+  async onrequest(ctx, next) {
+    const startTime = Date.now()
+    let error = null
+
+    try {
+      return await next()
+    } catch (err) {
+      error = err
+      throw err
+    } finally {
+      // later middleware can opt a request out with ctx.skipLogging
+      if (!ctx.skipLogging && !this._skip(ctx) && (error !== null || this._sampled(ctx))) {
+        this._log(ctx, error, Date.now() - startTime)
+      }
+    }
+  }
+
+  _sampled(ctx) {
+    const ratio = this._sample(ctx.method)
+    return ratio >= 1 || Math.random() < ratio
+  }
+
+  _log(ctx, error, duration) {
+    const { connection } = ctx
+
+    /** @type {LogRecord} */
+    const record = {
+      requestId: ctx.requestId,
+      method: ctx.method,
+      version: ctx.version,
+      peer: connection.remotePublicKey ? b4a.toString(connection.remotePublicKey, 'hex') : null,
+      remoteHost: connection.rawStream?.remoteHost ?? null,
+      duration,
+      outcome: error === null ? 'ok' : 'error',
+      code: error?.code ?? null
+    }
+    if (error !== null) record.error = error.message
+
+    // errors with a code are expected rejections, others are bugs
+    const level = error === null ? 'info' : error.code ? 'warn' : 'error'
+    this._write(record, level)
+  }
+}
+
+function toWriter(sink) {
+  if (sink === null) {
+    return (record, level) => console.log(toLine(record, level))
+  }
+  if (typeof sink === 'function') {
+    return sink
+  }
+  if (typeof sink.write === 'function') {
+    return (record, level) => sink.write(toLine(record, level) + '\n')
+  }
+  return (record, level) => sink[level](record, 'rpc request')
+}
+
+function toLine(record, level) {
+  return JSON.stringify({ level, time: Date.now(), ...record, msg: 'rpc request' })
+}
+
+function ratioOf(sample, method) {
+  if (Object.hasOwn(sample, method)) return sample[method]
+
+  let ratio = 1
+  let longest = -1
+  for (const [pattern, value] of Object.entries(sample)) {
+    // the most specific prefix wins
+    if (pattern.endsWith('*') && pattern.length > longest && matches(pattern, method)) {
+      ratio = value
+      longest = pattern.length
+    }
+  }
+  return ratio
+}
@@ -1,13 +1,28 @@
 const safetyCatch = require('safety-catch')
 const ProtomuxRpcRouterError = require('./errors')
+const RateLimit = require('./rate-limit')
+const Timeout = require('./timeout')
+const Concurrency = require('./concurrency')
+const Authorize = require('./authorize')
+const Validate = require('./validate')
+const Cache = require('./cache')
+const SingleFlight = require('./single-flight')
+const { Tracing } = require('./tracing')
+const { Signature } = require('./signature')
+const Logger = require('./logger')
 
 module.exports = class Middleware {
   static NOOP = {
     onopen: async () => {},
     onclose: async () => {},
+    onconnection: async (ctx) => {},
+    ondisconnection: async (ctx) => {},
     onrequest: (ctx, next) => {
       return next()
     },
+    onhandle: (ctx, next) => {
+      return next()
+    },
     registerMetrics: (promClient) => {}
   }
 
@@ -16,7 +31,10 @@ module.exports = class Middleware {
    * @param {Partial<Middleware>} middleware - The middleware object to wrap.
    * @param {Middleware['onopen']} [middleware.onopen] - Optional onopen function.
    * @param {Middleware['onclose']} [middleware.onclose] - Optional onclose function.
+   * @param {Middleware['onconnection']} [middleware.onconnection] - Optional onconnection function.
+   * @param {Middleware['ondisconnection']} [middleware.ondisconnection] - Optional ondisconnection function.
    * @param {Middleware['onrequest']} [middleware.onrequest] - Optional onrequest function.
+   * @param {Middleware['onhandle']} [middleware.onhandle] - Optional onhandle function.
    * @param {Middleware['registerMetrics']} [middleware.registerMetrics] - Optional registerMetrics function.
    * @returns {Middleware} The wrapped middleware.
    */
@@ -24,7 +42,11 @@ module.exports = class Middleware {
     return {
       onopen: middleware.onopen?.bind(middleware) ?? Middleware.NOOP.onopen,
       onclose: middleware.onclose?.bind(middleware) ?? Middleware.NOOP.onclose,
+      onconnection: middleware.onconnection?.bind(middleware) ?? Middleware.NOOP.onconnection,
+      ondisconnection:
+        middleware.ondisconnection?.bind(middleware) ?? Middleware.NOOP.ondisconnection,
       onrequest: middleware.onrequest?.bind(middleware) ?? Middleware.NOOP.onrequest,
+      onhandle: middleware.onhandle?.bind(middleware) ?? Middleware.NOOP.onhandle,
       registerMetrics:
         middleware.registerMetrics?.bind(middleware) ?? Middleware.NOOP.registerMetrics
     }
@@ -63,9 +85,37 @@ module.exports = class Middleware {
             throw aggregateError
           }
         },
+        onconnection: async (ctx) => {
+          await acc.onconnection(ctx)
+          try {
+            await middleware.onconnection(ctx)
+          } catch (error) {
+            await acc.ondisconnection(ctx).catch(safetyCatch)
+            throw error
+          }
+        },
+        ondisconnection: async (ctx) => {
+          let aggregateError = null
+          try {
+            await middleware.ondisconnection(ctx)
+          } catch (error) {
+            aggregateError = ProtomuxRpcRouterError.aggregate(aggregateError, error)
+          }
+          try {
+            await acc.ondisconnection(ctx)
+          } catch (error) {
+            aggregateError = ProtomuxRpcRouterError.aggregate(aggregateError, error)
+          }
+          if (aggregateError) {
+            throw aggregateError
+          }
+        },
         onrequest: (ctx, next) => {
           return acc.onrequest(ctx, () => middleware.onrequest(ctx, next))
         },
+        onhandle: (ctx, next) => {
+          return acc.onhandle(ctx, () => middleware.onhandle(ctx, next))
+        },
         registerMetrics: (promClient) => {
           acc.registerMetrics(promClient)
           middleware.registerMetrics(promClient)
@@ -74,6 +124,96 @@ module.exports = class Middleware {
     }, Middleware.NOOP)
   }
 
+  /**
+   * Create a token-bucket rate limiting middleware.
+   * @param {ConstructorParameters<typeof RateLimit>[0]} [options] - Rate limit options.
+   * @returns {RateLimit} The rate limiting middleware.
+   */
+  static rateLimit(options) {
+    return new RateLimit(options)
+  }
+
+  /**
+   * Create a request timeout middleware.
+   * @param {ConstructorParameters<typeof Timeout>[0]} [options] - Timeout options.
+   * @returns {Timeout} The timeout middleware.
+   */
+  static timeout(options) {
+    return new Timeout(options)
+  }
+
+  /**
+   * Create a concurrency limiting middleware.
+   * @param {ConstructorParameters<typeof Concurrency>[0]} [options] - Concurrency options.
+   * @returns {Concurrency} The concurrency limiting middleware.
+   */
+  static concurrency(options) {
+    return new Concurrency(options)
+  }
+
+  /**
+   * Create a peer authorization middleware.
+   * @param {ConstructorParameters<typeof Authorize>[0]} [options] - Authorization options.
+   * @returns {Authorize} The authorization middleware.
+   */
+  static authorize(options) {
+    return new Authorize(options)
+  }
+
+  /**
+   * Create a request validation middleware.
+   * @param {ConstructorParameters<typeof Validate>[0]['schema']} schema - Rules per request field, or a predicate.
+   * @returns {Validate} The validation middleware.
+   */
+  static validate(schema) {
+    return new Validate({ schema })
+  }
+
+  /**
+   * Create a response caching middleware.
+   * @param {ConstructorParameters<typeof Cache>[0]} [options] - Cache options.
+   * @returns {Cache} The caching middleware.
+   */
+  static cache(options) {
+    return new Cache(options)
+  }
+
+  /**
+   * Create a middleware coalescing identical concurrent requests.
+   * @param {ConstructorParameters<typeof SingleFlight>[0]} [options] - Single-flight options.
+   * @returns {SingleFlight} The single-flight middleware.
+   */
+  static singleFlight(options) {
+    return new SingleFlight(options)
+  }
+
+  /**
+   * Create a middleware recording a span per request.
+   * @param {ConstructorParameters<typeof Tracing>[0]} options - Tracing options.
+   * @returns {Tracing} The tracing middleware.
+   */
+  static tracing(options) {
+    return new Tracing(options)
+  }
+
+  /**
+   * Create a middleware verifying per-request signatures.
+   * @param {ConstructorParameters<typeof Signature>[0]} [options] - Signature options.
+   * @returns {Signature} The signature verification middleware.
+   */
+  static signature(options) {
+    return new Signature(options)
+  }
+
+  /**
+   * Create a structured request logging middleware.
+   * @param {ConstructorParameters<typeof Logger>[0]} [options] - Logger options.
+   * @returns {Logger} The logging middleware.
+   */
+  static logger(options) {
+    return new Logger(options)
+  }
+
   // this function is called by the router to register metrics with prom-client, it is NOT PART OF THE PUBLIC API and may be changed at any time
   registerMetrics(promClient) {
     // no-op
@@ -87,7 +227,19 @@ module.exports = class Middleware {
     // no-op
   }
 
+  async onconnection(ctx) {
+    // no-op
+  }
+
+  async ondisconnection(ctx) {
+    // no-op
+  }
+
   onrequest(ctx, next) {
     return next()
   }
+
+  onhandle(ctx, next) {
+    return next()
+  }
 }
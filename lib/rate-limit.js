@@ -0,0 +1,89 @@
+const b4a = require('b4a')
+const ProtomuxRpcRouterError = require('./errors')
+
+/**
+ * Token-bucket rate limiting middleware.
+ */
+module.exports = class RateLimit {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.capacity=10] - Maximum number of tokens (burst size) per bucket.
+   * @param {number} [options.refillRate=capacity] - Tokens added per second.
+   * @param {'peer'|'method'|((ctx: import('..').RpcContext) => string)} [options.key='peer'] - Bucket key.
+   * @param {string} [options.name='rate_limit'] - Name used for the metrics, must be unique per router.
+   */
+  constructor({ capacity = 10, refillRate = capacity, key = 'peer', name = 'rate_limit' } = {}) {
+    this.capacity = capacity
+    this.refillRate = refillRate
+    this.name = name
+
+    this._key = typeof key === 'function' ? key : KEYS[key]
+    if (!this._key) throw new Error(`Unknown rate limit key: ${key}`)
+
+    // a bucket left alone this long is full again and can be forgotten
+    this._idleTimeout = (capacity / refillRate) * 1000
+    this._lastSweep = Date.now()
+
+    /** @type {Map<string, { tokens: number, updated: number }>} */
+    this.buckets = new Map()
+    this.stats = {
+      nrRejections: 0
+    }
+  }
+
+  onrequest(ctx, next) {
+    const now = Date.now()
+    if (now - this._lastSweep >= this._idleTimeout) this._sweep(now)
+
+    const key = this._key(ctx)
+    let bucket = this.buckets.get(key)
+    if (!bucket) {
+      bucket = { tokens: this.capacity, updated: now }
+      this.buckets.set(key, bucket)
+    } else {
+      this._refill(bucket, now)
+    }
+
+    if (bucket.tokens < 1) {
+      this.stats.nrRejections++
+      throw ProtomuxRpcRouterError.RATE_LIMITED()
+    }
+
+    bucket.tokens--
+    return next()
+  }
+
+  async onclose() {
+    this.buckets.clear()
+  }
+
+  registerMetrics(promClient) {
+    const self = this
+
+    new promClient.Gauge({
+      name: `protomux_rpc_router_${this.name}_nr_rejections`,
+      help: 'The number of requests rejected by the rate limiter',
+      collect() {
+        this.set(self.stats.nrRejections)
+      }
+    })
+  }
+
+  _refill(bucket, now) {
+    const elapsed = (now - bucket.updated) / 1000
+    bucket.tokens = Math.min(this.capacity, bucket.tokens + elapsed * this.refillRate)
+    bucket.updated = now
+  }
+
+  _sweep(now) {
+    this._lastSweep = now
+    for (const [key, bucket] of this.buckets) {
+      if (now - bucket.updated >= this._idleTimeout) this.buckets.delete(key)
+    }
+  }
+}
+
+const KEYS = {
+  peer: (ctx) => b4a.toString(ctx.connection.remotePublicKey, 'hex'),
+  method: (ctx) => ctx.method
+}
@@ -0,0 +1,206 @@
+const b4a = require('b4a')
+const cenc = require('compact-encoding')
+const crypto = require('hypercore-crypto')
+const ProtomuxRpcRouterError = require('./errors')
+const { toKey } = require('./access')
+
+const NAMESPACE = 'protomux-rpc-router/signature'
+
+/**
+ * Encoding of the signed message, binding the signature to the method, version, payload, nonce and timestamp.
+ */
+const SignedRequest = {
+  preencode(state, m) {
+    cenc.string.preencode(state, NAMESPACE)
+    cenc.string.preencode(state, m.method)
+    cenc.uint.preencode(state, m.version)
+    cenc.buffer.preencode(state, m.value)
+    cenc.buffer.preencode(state, m.nonce)
+    cenc.uint.preencode(state, m.timestamp)
+  },
+  encode(state, m) {
+    cenc.string.encode(state, NAMESPACE)
+    cenc.string.encode(state, m.method)
+    cenc.uint.encode(state, m.version)
+    cenc.buffer.encode(state, m.value)
+    cenc.buffer.encode(state, m.nonce)
+    cenc.uint.encode(state, m.timestamp)
+  },
+  decode(state) {
+    cenc.string.decode(state)
+    return {
+      method: cenc.string.decode(state),
+      version: cenc.uint.decode(state),
+      value: cenc.buffer.decode(state),
+      nonce: cenc.buffer.decode(state),
+      timestamp: cenc.uint.decode(state)
+    }
+  }
+}
+
+/**
+ * Middleware verifying per-request ed25519 signatures sent in the request metadata.
+ * Requires routers and clients enabling `envelope`.
+ */
+class Signature {
+  /**
+   * @param {Object} [options]
+   * @param {Iterable<Buffer|string>} [options.keys] - Public keys of the accepted signers.
+   * @param {number} [options.window=60000] - Time in ms a signed request is accepted after it was signed.
+   * @param {number} [options.skew=30000] - Tolerated difference in ms between the clocks of the signer and the router.
+   * @param {boolean} [options.optional=false] - Let unsigned requests through, with `ctx.signer` set to null.
+   * @param {string} [options.name='signature'] - Name used for the metrics, must be unique per router.
+   */
+  constructor({
+    keys = [],
+    window = 60000,
+    skew = 30000,
+    optional = false,
+    name = 'signature'
+  } = {}) {
+    this.window = window
+    this.skew = skew
+    this.optional = optional
+    this.name = name
+
+    /** @type {Set<string>} */
+    this.keys = new Set(Array.from(keys, toKey))
+
+    // nonces seen per signer, until their request can't be accepted anymore
+    /** @type {Map<string, number>} */
+    this._nonces = new Map()
+    this._pruneAt = 0
+    this.stats = {
+      nrRejections: 0
+    }
+  }
+
+  /**
+   * Accept the signatures of a key, e.g. to rotate keys without downtime.
+   * @param {Buffer|string} key
+   * @returns {this}
+   */
+  addKey(key) {
+    this.keys.add(toKey(key))
+    return this
+  }
+
+  /**
+   * Stop accepting the signatures of a key.
+   * @param {Buffer|string} key
+   * @returns {this}
+   */
+  removeKey(key) {
+    this.keys.delete(toKey(key))
+    return this
+  }
+
+  onrequest(ctx, next) {
+    const { signer, signature, nonce, timestamp } = ctx.metadata
+
+    if (signer === undefined && signature === undefined && this.optional) {
+      ctx.signer = null
+      return next()
+    }
+
+    if (!signer || !signature || !nonce || !timestamp) {
+      throw this._reject('missing signature')
+    }
+    if (!this.keys.has(signer)) {
+      throw this._reject('unknown signer')
+    }
+
+    const now = Date.now()
+    const signedAt = Number(timestamp)
+    if (
+      !Number.isSafeInteger(signedAt) ||
+      signedAt > now + this.skew ||
+      signedAt < now - this.window - this.skew
+    ) {
+      throw this._reject('timestamp outside of the accepted window')
+    }
+
+    const nonceBytes = b4a.from(nonce, 'hex')
+    const message = cenc.encode(SignedRequest, {
+      method: ctx.method,
+      version: ctx.version,
+      value: ctx.value,
+      nonce: nonceBytes,
+      timestamp: signedAt
+    })
+    const publicKey = b4a.from(signer, 'hex')
+    if (!verify(message, b4a.from(signature, 'hex'), publicKey)) {
+      throw this._reject('bad signature')
+    }
+
+    // only recorded once verified, so nobody else can burn the nonces of a signer
+    this._prune(now)
+    const id = `${signer}\n${b4a.toString(nonceBytes, 'hex')}`
+    if (this._nonces.has(id)) {
+      throw this._reject('nonce already used')
+    }
+    this._nonces.set(id, signedAt + this.window + this.skew)
+
+    ctx.signer = publicKey
+    return next()
+  }
+
+  registerMetrics(promClient) {
+    const self = this
+
+    new promClient.Gauge({
+      name: `protomux_rpc_router_${this.name}_nr_rejections`,
+      help: 'The number of requests rejected for a missing or invalid signature',
+      collect() {
+        this.set(self.stats.nrRejections)
+      }
+    })
+  }
+
+  _reject(reason) {
+    this.stats.nrRejections++
+    return ProtomuxRpcRouterError.INVALID_SIGNATURE(reason)
+  }
+
+  _prune(now) {
+    if (now < this._pruneAt) return
+    this._pruneAt = now + this.window
+
+    for (const [id, expires] of this._nonces) {
+      if (expires < now) this._nonces.delete(id)
+    }
+  }
+}
+
+/**
+ * Sign a request, returning the metadata to send it with.
+ * @param {{ publicKey: Buffer, secretKey: Buffer }} keyPair - ed25519 key pair of the signer.
+ * @param {Object} request
+ * @param {string} request.method - RPC method name.
+ * @param {number} [request.version=1] - Version of the method.
+ * @param {Buffer} request.value - Encoded request.
+ * @param {number} [request.timestamp=Date.now()] - Time the request is signed at, in ms.
+ * @returns {{ signer: string, signature: string, nonce: string, timestamp: string }}
+ */
+function sign(keyPair, { method, version = 1, value, timestamp = Date.now() }) {
+  const nonce = crypto.randomBytes(16)
+  const message = cenc.encode(SignedRequest, { method, version, value, nonce, timestamp })
+
+  return {
+    signer: b4a.toString(keyPair.publicKey, 'hex'),
+    signature: b4a.toString(crypto.sign(message, keyPair.secretKey), 'hex'),
+    nonce: b4a.toString(nonce, 'hex'),
+    timestamp: String(timestamp)
+  }
+}
+
+function verify(message, signature, publicKey) {
+  try {
+    return crypto.verify(message, signature, publicKey)
+  } catch {
+    // malformed signature or key
+    return false
+  }
+}
+
+module.exports = { Signature, sign }
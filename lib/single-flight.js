@@ -0,0 +1,108 @@
+const b4a = require('b4a')
+
+/**
+ * Middleware coalescing identical concurrent requests into a single execution of the rest of the chain.
+ */
+module.exports = class SingleFlight {
+  /**
+   * @param {Object} [options]
+   * @param {(ctx: import('..').RpcContext) => string} [options.key] - Key of a request within its method, defaults to the request bytes.
+   * @param {string} [options.name='single_flight'] - Name used for the metrics, must be unique per router.
+   */
+  constructor({ key = null, name = 'single_flight' } = {}) {
+    this.name = name
+
+    this._key = key || ((ctx) => b4a.toString(ctx.value, 'hex'))
+
+    /** @type {Map<string, Flight>} */
+    this.flights = new Map()
+    this.stats = {
+      nrCoalesced: 0
+    }
+  }
+
+  async onrequest(ctx, next) {
+    // only plain methods
+    if (ctx.kind !== 'method') return next()
+
+    const id = `${ctx.method}@${ctx.version}\n${this._key(ctx)}`
+    const flight = this.flights.get(id)
+
+    if (flight !== undefined) {
+      this.stats.nrCoalesced++
+      flight.join(ctx.signal)
+      try {
+        return await flight.running
+      } catch (error) {
+        // the router sets the request id on the error it sends, so each waiter needs its own
+        throw copyError(error)
+      }
+    }
+
+    // the execution is shared, so it is only aborted once all waiting requests are gone
+    const { signal } = ctx
+    const shared = new Flight()
+    shared.join(signal)
+    ctx.signal = shared.controller.signal
+
+    shared.running = run(next)
+    this.flights.set(id, shared)
+    try {
+      return await shared.running
+    } finally {
+      this.flights.delete(id)
+      shared.leave()
+      ctx.signal = signal
+    }
+  }
+
+  registerMetrics(promClient) {
+    const self = this
+
+    new promClient.Gauge({
+      name: `protomux_rpc_router_${this.name}_nr_coalesced`,
+      help: 'The number of requests coalesced into an identical in-flight request',
+      collect() {
+        this.set(self.stats.nrCoalesced)
+      }
+    })
+  }
+}
+
+class Flight {
+  constructor() {
+    this.controller = new AbortController()
+    this.running = null
+    this.waiting = 0
+    this._unlink = []
+  }
+
+  /**
+   * @param {AbortSignal} signal - Signal of a request waiting for this flight.
+   */
+  join(signal) {
+    const onabort = () => {
+      if (--this.waiting === 0) this.controller.abort(signal.reason)
+    }
+
+    this.waiting++
+    if (signal.aborted) return onabort()
+
+    signal.addEventListener('abort', onabort, { once: true })
+    this._unlink.push(() => signal.removeEventListener('abort', onabort))
+  }
+
+  leave() {
+    for (const unlink of this._unlink) unlink()
+    this._unlink = []
+  }
+}
+
+async function run(next) {
+  return next()
+}
+
+function copyError(error) {
+  if (typeof error !== 'object' || error === null) return error
+  return Object.create(Object.getPrototypeOf(error), Object.getOwnPropertyDescriptors(error))
+}
@@ -0,0 +1,28 @@
+const cenc = require('compact-encoding')
+
+// built-in methods pulling the chunks of a stream opened by a stream method
+exports.STREAM_NEXT = '_router.stream.next'
+exports.STREAM_CANCEL = '_router.stream.cancel'
+
+/**
+ * Encoding of the stream id returned by a stream method.
+ */
+exports.StreamId = cenc.uint
+
+/**
+ * Encoding of a pulled chunk, `chunk` is null once the stream ended.
+ */
+exports.StreamChunk = {
+  preencode(state, m) {
+    cenc.bool.preencode(state, m.done)
+    if (!m.done) cenc.buffer.preencode(state, m.chunk)
+  },
+  encode(state, m) {
+    cenc.bool.encode(state, m.done)
+    if (!m.done) cenc.buffer.encode(state, m.chunk)
+  },
+  decode(state) {
+    const done = cenc.bool.decode(state)
+    return { done, chunk: done ? null : cenc.buffer.decode(state) }
+  }
+}
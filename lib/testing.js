@@ -0,0 +1,111 @@
+const { Duplex } = require('streamx')
+const b4a = require('b4a')
+const crypto = require('hypercore-crypto')
+const ProtomuxRpcClient = require('./client')
+
+/**
+ * One end of an in-memory connection, standing in for a HyperDHT connection in tests.
+ * Each write is delivered to the other end as a single message, so it is framed like a secret stream.
+ */
+class MemoryStream extends Duplex {
+  /**
+   * @param {Object} options
+   * @param {boolean} options.isInitiator
+   * @param {Buffer} options.publicKey - Public key of this end.
+   * @param {Buffer} options.remotePublicKey - Public key of the other end.
+   * @param {Buffer} options.handshakeHash - Shared by both ends, used by capabilities.
+   */
+  constructor({ isInitiator, publicKey, remotePublicKey, handshakeHash }) {
+    super()
+
+    this.isInitiator = isInitiator
+    this.publicKey = publicKey
+    this.remotePublicKey = remotePublicKey
+    this.handshakeHash = handshakeHash
+    this.rawStream = { remoteHost: '127.0.0.1', remotePort: 0 }
+
+    /** @type {MemoryStream|null} */
+    this.remote = null
+  }
+
+  _write(data, cb) {
+    // copied, as the other end would receive its own buffer over a network
+    this.remote.push(b4a.from(data))
+    cb(null)
+  }
+
+  _final(cb) {
+    this.remote.push(null)
+    cb(null)
+  }
+
+  _predestroy() {
+    this.remote.destroy()
+  }
+}
+
+/**
+ * Create the two ends of an in-memory connection.
+ * @param {Object} [options]
+ * @param {Buffer} [options.publicKey] - Public key of the initiator (client), random by default.
+ * @param {Buffer} [options.serverPublicKey] - Public key of the responder (server), random by default.
+ * @returns {[MemoryStream, MemoryStream]} The initiator and responder ends.
+ */
+function pair({
+  publicKey = crypto.randomBytes(32),
+  serverPublicKey = crypto.randomBytes(32)
+} = {}) {
+  const handshakeHash = crypto.randomBytes(32)
+
+  const initiator = new MemoryStream({
+    isInitiator: true,
+    publicKey,
+    remotePublicKey: serverPublicKey,
+    handshakeHash
+  })
+  const responder = new MemoryStream({
+    isInitiator: false,
+    publicKey: serverPublicKey,
+    remotePublicKey: publicKey,
+    handshakeHash
+  })
+
+  initiator.remote = responder
+  responder.remote = initiator
+
+  return [initiator, responder]
+}
+
+/**
+ * Connect a router to a client over an in-memory connection, without any network.
+ * @param {import('..')} router - The router, opened if it isn't yet.
+ * @param {Object} [options] - Client options, `methods` defaults to the router methods.
+ * @param {Buffer} [options.publicKey] - Public key of the client, seen as `ctx.connection.remotePublicKey`.
+ * @param {Buffer} [options.serverPublicKey] - Public key of the router end.
+ * @returns {Promise<{
+ *   client: ProtomuxRpcClient,
+ *   connection: MemoryStream,
+ *   call: (method: string, value: any, options?: Parameters<ProtomuxRpcClient['call']>[2]) => Promise<any>,
+ *   close: () => Promise<void>
+ * }>} `connection` is the router end, as in `ctx.connection`.
+ */
+async function connect(router, { publicKey, serverPublicKey, ...options } = {}) {
+  await router.ready()
+
+  const [clientStream, serverStream] = pair({ publicKey, serverPublicKey })
+  const client = new ProtomuxRpcClient(clientStream, { methods: router.methods, ...options })
+
+  await router.handleConnection(serverStream)
+
+  return {
+    client,
+    connection: serverStream,
+    call: (method, value, options) => client.call(method, value, options),
+    close: async () => {
+      await client.close()
+      clientStream.destroy()
+    }
+  }
+}
+
+module.exports = { MemoryStream, pair, connect }
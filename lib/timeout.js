@@ -0,0 +1,44 @@
+const ProtomuxRpcRouterError = require('./errors')
+
+/**
+ * Middleware rejecting requests that take longer than a deadline.
+ */
+module.exports = class Timeout {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.timeout=10000] - Deadline in ms for the rest of the chain.
+   */
+  constructor({ timeout = 10000 } = {}) {
+    this.timeout = timeout
+  }
+
+  async onrequest(ctx, next) {
+    // derive a signal that also aborts when an outer signal (e.g. the channel) aborts
+    const parent = ctx.signal
+    const controller = new AbortController()
+    const onabort = () => controller.abort(parent.reason)
+
+    if (parent) {
+      if (parent.aborted) controller.abort(parent.reason)
+      else parent.addEventListener('abort', onabort)
+    }
+
+    ctx.signal = controller.signal
+
+    let timer = null
+    const deadline = new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        const error = ProtomuxRpcRouterError.REQUEST_TIMEOUT(this.timeout)
+        controller.abort(error)
+        reject(error)
+      }, this.timeout)
+    })
+
+    try {
+      return await Promise.race([next(), deadline])
+    } finally {
+      clearTimeout(timer)
+      if (parent) parent.removeEventListener('abort', onabort)
+    }
+  }
+}
@@ -0,0 +1,33 @@
+const cenc = require('compact-encoding')
+const b4a = require('b4a')
+
+const TraceId = cenc.fixed(16)
+const SpanId = cenc.fixed(8)
+
+/**
+ * Trace context carried alongside a request, W3C trace context style.
+ * @typedef {Object} TraceContext
+ * @property {string} traceId - Hex encoded 16 byte trace id.
+ * @property {string} spanId - Hex encoded 8 byte id of the span that made the request.
+ * @property {boolean} sampled - Whether the trace is recorded.
+ */
+
+/**
+ * Encoding of the ids of a trace context, its sampling flag is sent with the call flags.
+ */
+exports.TraceIds = {
+  preencode(state, m) {
+    TraceId.preencode(state, b4a.from(m.traceId, 'hex'))
+    SpanId.preencode(state, b4a.from(m.spanId, 'hex'))
+  },
+  encode(state, m) {
+    TraceId.encode(state, b4a.from(m.traceId, 'hex'))
+    SpanId.encode(state, b4a.from(m.spanId, 'hex'))
+  },
+  decode(state) {
+    return {
+      traceId: b4a.toString(TraceId.decode(state), 'hex'),
+      spanId: b4a.toString(SpanId.decode(state), 'hex')
+    }
+  }
+}
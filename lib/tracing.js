@@ -0,0 +1,117 @@
+const crypto = require('crypto')
+const b4a = require('b4a')
+
+/**
+ * Span recorded for a request, OpenTelemetry style.
+ * @typedef {Object} Span
+ * @property {string} name - RPC method name.
+ * @property {'server'} kind
+ * @property {string} traceId - Hex encoded 16 byte trace id, from the caller or a new one.
+ * @property {string} spanId - Hex encoded 8 byte id of this span.
+ * @property {string|null} parentSpanId - Id of the span of the caller, if any.
+ * @property {boolean} sampled - Whether the span is exported.
+ * @property {number} startTime - Start time in ms since the epoch.
+ * @property {number|null} endTime - End time in ms since the epoch, once the request settled.
+ * @property {Object<string, any>} attributes
+ * @property {{ code: 'unset'|'ok'|'error', message?: string }} status
+ */
+
+/**
+ * Exporter of the finished spans.
+ * @typedef {Object} SpanExporter
+ * @property {(span: Span) => void|Promise<void>} export
+ */
+
+/**
+ * Middleware recording a span per request and handing it to an exporter once the request settled.
+ */
+class Tracing {
+  /**
+   * @param {Object} options
+   * @param {SpanExporter} options.exporter - Exporter of the finished spans.
+   */
+  constructor({ exporter } = {}) {
+    if (!exporter || typeof exporter.export !== 'function') {
+      throw new TypeError('Tracing requires an exporter with an export(span) function')
+    }
+
+    this.exporter = exporter
+  }
+
+  async onrequest(ctx, next) {
+    const parent = ctx.trace
+    const remotePublicKey = ctx.connection.remotePublicKey
+
+    /** @type {Span} */
+    const span = {
+      name: ctx.method,
+      kind: 'server',
+      traceId: parent?.traceId ?? randomId(16),
+      spanId: randomId(8),
+      parentSpanId: parent?.spanId ?? null,
+      sampled: parent?.sampled ?? true,
+      startTime: Date.now(),
+      endTime: null,
+      attributes: {
+        'rpc.system': 'protomux-rpc',
+        'rpc.method': ctx.method,
+        'rpc.version': ctx.version,
+        'rpc.request_id': ctx.requestId,
+        'net.peer.key': remotePublicKey ? b4a.toString(remotePublicKey, 'hex') : null
+      },
+      status: { code: 'unset' }
+    }
+    // handlers pass it as the trace of their downstream requests
+    ctx.span = span
+
+    try {
+      const res = await next()
+      span.status = { code: 'ok' }
+      return res
+    } catch (error) {
+      span.status = { code: 'error', message: error.message }
+      if (error.code) span.attributes['rpc.error_code'] = error.code
+      throw error
+    } finally {
+      span.endTime = Date.now()
+      if (span.sampled) this._export(span)
+    }
+  }
+
+  _export(span) {
+    // a failing exporter must not fail the request
+    try {
+      const exporting = this.exporter.export(span)
+      if (exporting && typeof exporting.catch === 'function') exporting.catch(noop)
+    } catch {}
+  }
+}
+
+/**
+ * Exporter keeping the finished spans in memory, for tests.
+ */
+class InMemorySpanExporter {
+  constructor() {
+    /** @type {Span[]} */
+    this.spans = []
+  }
+
+  export(span) {
+    this.spans.push(span)
+  }
+
+  /**
+   * Drop the recorded spans.
+   */
+  reset() {
+    this.spans = []
+  }
+}
+
+function randomId(bytes) {
+  return b4a.toString(crypto.randomBytes(bytes), 'hex')
+}
+
+function noop() {}
+
+module.exports = { Tracing, InMemorySpanExporter }
@@ -0,0 +1,112 @@
+const b4a = require('b4a')
+const ProtomuxRpcRouterError = require('./errors')
+
+/**
+ * Declarative rule for a request field.
+ * @typedef {Object} FieldRule
+ * @property {'string'|'number'|'integer'|'boolean'|'buffer'|'array'|'object'} [type] - Expected type.
+ * @property {boolean} [optional=false] - Accept `undefined` and `null`.
+ * @property {number} [min] - Minimum value of a number.
+ * @property {number} [max] - Maximum value of a number.
+ * @property {number} [minLength] - Minimum length of a string, buffer or array.
+ * @property {number} [maxLength] - Maximum length of a string, buffer or array.
+ * @property {any[]} [enum] - Allowed values.
+ * @property {RegExp} [pattern] - Pattern a string must match.
+ * @property {FieldRule} [items] - Rule applied to each item of an array.
+ * @property {Object<string, FieldRule>} [properties] - Rules applied to the fields of an object.
+ * @property {(value: any) => boolean} [check] - Custom check of the value.
+ */
+
+/**
+ * Middleware validating the decoded request before the handler runs.
+ */
+module.exports = class Validate {
+  /**
+   * @param {Object} options
+   * @param {Object<string, FieldRule>|((req: any, ctx: import('..').RpcContext) => boolean|string)} options.schema -
+   *   Rules per request field, or a predicate returning `true` when valid and `false` or the failing field name otherwise.
+   */
+  constructor({ schema }) {
+    if (typeof schema !== 'function' && (typeof schema !== 'object' || schema === null)) {
+      throw new Error('Validation schema must be an object or a function')
+    }
+    this.schema = schema
+  }
+
+  onhandle(ctx, next) {
+    const req = ctx.request
+
+    if (typeof this.schema === 'function') {
+      const result = this.schema(req, ctx)
+      if (result !== true) {
+        throw ProtomuxRpcRouterError.VALIDATION_ERROR(
+          typeof result === 'string' ? result : null,
+          'rejected by the schema'
+        )
+      }
+    } else {
+      check(null, req, { type: 'object', properties: this.schema })
+    }
+
+    return next()
+  }
+}
+
+function check(field, value, rule) {
+  if (value === undefined || value === null) {
+    if (rule.optional) return
+    throw ProtomuxRpcRouterError.VALIDATION_ERROR(field, 'is required')
+  }
+
+  if (rule.type !== undefined && !TYPES[rule.type](value)) {
+    throw ProtomuxRpcRouterError.VALIDATION_ERROR(field, `must be of type ${rule.type}`)
+  }
+
+  if (rule.enum !== undefined && !rule.enum.includes(value)) {
+    throw ProtomuxRpcRouterError.VALIDATION_ERROR(field, `must be one of ${rule.enum.join(', ')}`)
+  }
+
+  if (rule.min !== undefined && value < rule.min) {
+    throw ProtomuxRpcRouterError.VALIDATION_ERROR(field, `must be >= ${rule.min}`)
+  }
+  if (rule.max !== undefined && value > rule.max) {
+    throw ProtomuxRpcRouterError.VALIDATION_ERROR(field, `must be <= ${rule.max}`)
+  }
+
+  if (rule.minLength !== undefined && !(value.length >= rule.minLength)) {
+    throw ProtomuxRpcRouterError.VALIDATION_ERROR(field, `must have length >= ${rule.minLength}`)
+  }
+  if (rule.maxLength !== undefined && !(value.length <= rule.maxLength)) {
+    throw ProtomuxRpcRouterError.VALIDATION_ERROR(field, `must have length <= ${rule.maxLength}`)
+  }
+
+  if (rule.pattern !== undefined && !rule.pattern.test(value)) {
+    throw ProtomuxRpcRouterError.VALIDATION_ERROR(field, `must match ${rule.pattern}`)
+  }
+
+  if (rule.check !== undefined && !rule.check(value)) {
+    throw ProtomuxRpcRouterError.VALIDATION_ERROR(field, 'is invalid')
+  }
+
+  if (rule.items !== undefined) {
+    for (let i = 0; i < value.length; i++) {
+      check(`${field ?? ''}[${i}]`, value[i], rule.items)
+    }
+  }
+
+  if (rule.properties !== undefined) {
+    for (const [name, fieldRule] of Object.entries(rule.properties)) {
+      check(field === null ? name : `${field}.${name}`, value[name], fieldRule)
+    }
+  }
+}
+
+const TYPES = {
+  string: (value) => typeof value === 'string',
+  number: (value) => typeof value === 'number' && !Number.isNaN(value),
+  integer: (value) => Number.isInteger(value),
+  boolean: (value) => typeof value === 'boolean',
+  buffer: (value) => b4a.isBuffer(value),
+  array: (value) => Array.isArray(value),
+  object: (value) => typeof value === 'object' && !Array.isArray(value) && !b4a.isBuffer(value)
+}
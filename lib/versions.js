@@ -0,0 +1,24 @@
+// version 1 is served under the plain method name, so unversioned clients keep working
+const SEPARATOR = '@'
+
+/**
+ * Name a version of a method is served under.
+ * @param {string} method
+ * @param {number} version
+ * @returns {string}
+ */
+exports.wireName = function wireName(method, version) {
+  return version === 1 ? method : method + SEPARATOR + version
+}
+
+/**
+ * Split the name a method is served under into the method name and its version.
+ * @param {string} name
+ * @returns {{ method: string, version: number }}
+ */
+exports.parseWireName = function parseWireName(name) {
+  const i = name.lastIndexOf(SEPARATOR)
+  const version = i === -1 ? NaN : Number(name.slice(i + 1))
+  if (!Number.isInteger(version) || version < 1) return { method: name, version: 1 }
+  return { method: name.slice(0, i), version }
+}
@@ -0,0 +1,94 @@
+const test = require('brittle')
+const b4a = require('b4a')
+const {
+  causeCode,
+  createClient,
+  createKeyPair,
+  nextEvent,
+  setUpNetwork,
+  setUpServer
+} = require('./helper')
+const ProtomuxRpcRouter = require('..')
+
+const { Middleware } = ProtomuxRpcRouter
+
+async function setUp(t, router, ...keyPairs) {
+  const { bootstrap } = await setUpNetwork(t)
+  const server = await setUpServer(t, bootstrap, router)
+  await router.ready()
+
+  const rpcs = []
+  for (const keyPair of keyPairs) {
+    rpcs.push(await createClient(t, bootstrap, server.address().publicKey, { keyPair }))
+  }
+  return rpcs
+}
+
+test('authorize rejects denied peers and peers missing from the allow list', async (t) => {
+  const router = new ProtomuxRpcRouter()
+  t.teardown(() => router.close())
+
+  const alice = createKeyPair()
+  const bob = createKeyPair()
+  const eve = createKeyPair()
+
+  router.use(
+    Middleware.authorize({ allow: [alice.publicKey, bob.publicKey], deny: [bob.publicKey] })
+  )
+  router.method('echo', (value) => value)
+
+  const [aliceRpc, bobRpc, eveRpc] = await setUp(t, router, alice, bob, eve)
+
+  t.alike(await aliceRpc.request('echo', b4a.from('hi')), b4a.from('hi'))
+  t.is(await causeCode(bobRpc.request('echo', b4a.from('hi'))), 'FORBIDDEN', 'deny wins')
+  t.is(await causeCode(eveRpc.request('echo', b4a.from('hi'))), 'FORBIDDEN', 'not allowed')
+})
+
+test('authorize supports per-method policies changed at runtime', async (t) => {
+  const router = new ProtomuxRpcRouter()
+  t.teardown(() => router.close())
+
+  const admin = createKeyPair()
+  const user = createKeyPair()
+
+  const acl = Middleware.authorize({ policies: { 'admin.*': { allow: [admin.publicKey] } } })
+  router.use(acl)
+  router.method('admin.reset', () => b4a.from('reset'))
+  router.method('echo', (value) => value)
+
+  const [adminRpc, userRpc] = await setUp(t, router, admin, user)
+
+  t.alike(await adminRpc.request('admin.reset', b4a.from('')), b4a.from('reset'))
+  t.is(await causeCode(userRpc.request('admin.reset', b4a.from(''))), 'FORBIDDEN')
+  t.alike(await userRpc.request('echo', b4a.from('hi')), b4a.from('hi'), 'other methods allowed')
+
+  acl.allow(user.publicKey, 'admin.*')
+  t.alike(await userRpc.request('admin.reset', b4a.from('')), b4a.from('reset'), 'allowed later')
+
+  acl.deny(user.publicKey)
+  t.is(await causeCode(userRpc.request('echo', b4a.from('hi'))), 'FORBIDDEN', 'denied later')
+
+  acl.undeny(user.publicKey)
+  t.alike(await userRpc.request('echo', b4a.from('hi')), b4a.from('hi'), 'undenied')
+
+  t.is(acl.stats.nrRejections, 2)
+})
+
+test('authorize destroys the connection after repeated violations', async (t) => {
+  const router = new ProtomuxRpcRouter()
+  t.teardown(() => router.close())
+
+  const eve = createKeyPair()
+
+  router.use(Middleware.authorize({ deny: [eve.publicKey], maxViolations: 2 }))
+  router.method('echo', (value) => value)
+
+  const [eveRpc] = await setUp(t, router, eve)
+
+  t.is(await causeCode(eveRpc.request('echo', b4a.from('hi'))), 'FORBIDDEN')
+
+  const closed = nextEvent(router, 'connection-close')
+  await t.exception(eveRpc.request('echo', b4a.from('hi')))
+  await closed
+  t.is(router.connections.size, 0, 'connection is destroyed')
+})
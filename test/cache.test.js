@@ -0,0 +1,181 @@
+const test = require('brittle')
+const b4a = require('b4a')
+const cenc = require('compact-encoding')
+const promClient = require('prom-client')
+const { isBare } = require('which-runtime')
+const { simpleSetup } = require('./helper')
+const ProtomuxRpcRouter = require('..')
+
+const { Middleware } = ProtomuxRpcRouter
+
+test('cache serves repeated requests without running the handler', async (t) => {
+  const router = new ProtomuxRpcRouter()
+  t.teardown(() => router.close())
+
+  let calls = 0
+  const cache = Middleware.cache()
+
+  router
+    .method('lookup', (value) => {
+      calls++
+      return b4a.concat([value, b4a.from('!')])
+    })
+    .use(cache)
+
+  const makeRequest = await simpleSetup(t, router)
+
+  t.alike(await makeRequest('lookup', b4a.from('a')), b4a.from('a!'))
+  t.alike(await makeRequest('lookup', b4a.from('a')), b4a.from('a!'))
+  t.alike(await makeRequest('lookup', b4a.from('b')), b4a.from('b!'))
+  t.is(calls, 2, 'handler runs once per distinct request')
+  t.is(cache.stats.nrHits, 1)
+  t.is(cache.stats.nrMisses, 2)
+
+  cache.invalidate('lookup', b4a.from('a'))
+  await makeRequest('lookup', b4a.from('a'))
+  await makeRequest('lookup', b4a.from('b'))
+  t.is(calls, 3, 'only the invalidated request runs again')
+
+  cache.invalidate('lookup')
+  t.is(cache.entries.size, 0)
+  t.is(cache.bytes, 0)
+})
+
+test('cache expires entries after the ttl and skips errors', async (t) => {
+  const router = new ProtomuxRpcRouter()
+  t.teardown(() => router.close())
+
+  let calls = 0
+
+  router
+    .method('lookup', (value) => {
+      calls++
+      if (b4a.toString(value) === 'fail') throw new Error('fail')
+      return value
+    })
+    .use(Middleware.cache({ ttl: 50 }))
+
+  const makeRequest = await simpleSetup(t, router)
+
+  await makeRequest('lookup', b4a.from('a'))
+  await makeRequest('lookup', b4a.from('a'))
+  t.is(calls, 1)
+
+  await new Promise((resolve) => setTimeout(resolve, 100))
+  await makeRequest('lookup', b4a.from('a'))
+  t.is(calls, 2, 'expired entry is refreshed')
+
+  await t.exception(makeRequest('lookup', b4a.from('fail')))
+  await t.exception(makeRequest('lookup', b4a.from('fail')))
+  t.is(calls, 4, 'errors are not cached')
+})
+
+test('cache evicts the least recently used entries', async (t) => {
+  const router = new ProtomuxRpcRouter()
+  t.teardown(() => router.close())
+
+  const cache = Middleware.cache({ maxEntries: 2 })
+  router.method('lookup', (value) => value).use(cache)
+
+  const makeRequest = await simpleSetup(t, router)
+
+  await makeRequest('lookup', b4a.from('a'))
+  await makeRequest('lookup', b4a.from('b'))
+  await makeRequest('lookup', b4a.from('a')) // a is now more recent than b
+  await makeRequest('lookup', b4a.from('c'))
+
+  t.is(cache.stats.nrEvictions, 1)
+  t.alike(
+    [...cache.entries.values()].map((entry) => entry.key),
+    [b4a.toString(b4a.from('a'), 'hex'), b4a.toString(b4a.from('c'), 'hex')]
+  )
+
+  const bytes = Middleware.cache({ maxBytes: 4 })
+  router.method('blob', (value) => value).use(bytes)
+
+  await makeRequest('blob', b4a.from('12'))
+  await makeRequest('blob', b4a.from('34'))
+  await makeRequest('blob', b4a.from('56'))
+  await makeRequest('blob', b4a.from('too large'))
+  t.is(bytes.entries.size, 2)
+  t.is(bytes.bytes, 4)
+})
+
+test('cache supports a custom key', async (t) => {
+  const router = new ProtomuxRpcRouter()
+  t.teardown(() => router.close())
+
+  let calls = 0
+  const cache = Middleware.cache({ key: (ctx) => ctx.request.id })
+
+  router
+    .method('get', { requestEncoding: cenc.json, responseEncoding: cenc.json }, ({ id }) => {
+      calls++
+      return { id }
+    })
+    .use(cache)
+
+  const makeRequest = await simpleSetup(t, router)
+  const json = { requestEncoding: cenc.json, responseEncoding: cenc.json }
+
+  await makeRequest('get', { id: 'x', trace: 1 }, json)
+  t.alike(await makeRequest('get', { id: 'x', trace: 2 }, json), { id: 'x' })
+  t.is(calls, 1, 'ignored fields share the cache entry')
+
+  cache.invalidate('get', 'x')
+  await makeRequest('get', { id: 'x', trace: 3 }, json)
+  t.is(calls, 2)
+})
+
+test('cache invalidates a request across the versions of a method', async (t) => {
+  const router = new ProtomuxRpcRouter()
+  t.teardown(() => router.close())
+
+  let calls = 0
+  const cache = Middleware.cache()
+
+  router
+    .method('get', { version: 2 }, (value) => {
+      calls++
+      return value
+    })
+    .adapt(1)
+    .use(cache)
+
+  const makeRequest = await simpleSetup(t, router)
+
+  for (const method of ['get', 'get@2', 'get', 'get@2']) {
+    await makeRequest(method, b4a.from('a'))
+  }
+  await makeRequest('get', b4a.from('b'))
+  t.is(calls, 3, 'versions are cached separately')
+
+  cache.invalidate('get', b4a.from('a'))
+  t.is(cache.entries.size, 1, 'only the other request stays cached')
+
+  await makeRequest('get', b4a.from('a'))
+  await makeRequest('get@2', b4a.from('a'))
+  t.is(calls, 5)
+})
+
+test('cache registers hit and miss metrics', { skip: isBare }, async (t) => {
+  promClient.register.clear()
+
+  const router = new ProtomuxRpcRouter()
+  t.teardown(() => router.close())
+
+  router.method('lookup', (value) => value).use(Middleware.cache({ name: 'lookup_cache' }))
+  router.registerMetrics(promClient)
+
+  const makeRequest = await simpleSetup(t, router)
+
+  await makeRequest('lookup', b4a.from('a'))
+  await makeRequest('lookup', b4a.from('a'))
+
+  const metrics = await promClient.register.getMetricsAsJSON()
+  const value = (name) => metrics.find((m) => m.name === name).values[0].value
+
+  t.is(value('protomux_rpc_router_lookup_cache_nr_hits'), 1)
+  t.is(value('protomux_rpc_router_lookup_cache_nr_misses'), 1)
+  t.is(value('protomux_rpc_router_lookup_cache_bytes'), 1)
+})
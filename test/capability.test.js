@@ -118,3 +118,82 @@ test('request after invalid capability is rejected', async (t) => {
     await rpc.request('echo', b4a.from('hello'))
   }, 'Remote sent invalid capability')
 })
+
+test('multiple capabilities - any valid capability is accepted and exposed on ctx', async (t) => {
+  const router = new ProtomuxRpcRouter({
+    namespace: b4a.from('test-namespace'),
+    capabilities: [b4a.from('new-capability'), b4a.from('old-capability')]
+  })
+
+  router.method('which', (value, ctx) => ctx.capability)
+  router.on('capability-error', () => t.fail('both capabilities should be valid'))
+
+  const { bootstrap } = await setUpNetwork(t)
+  const server = await setUpServer(t, bootstrap, router)
+  await router.ready()
+
+  t.teardown(() => router.close())
+
+  for (const capability of ['new-capability', 'old-capability']) {
+    const rpc = await createClient(t, bootstrap, server.address().publicKey, {
+      namespace: b4a.from('test-namespace'),
+      capability: b4a.from(capability)
+    })
+    const result = await rpc.request('which', b4a.from(''))
+    t.alike(result, b4a.from(capability), `${capability} is accepted`)
+  }
+})
+
+test('capability rotation - add and remove capabilities at runtime', async (t) => {
+  const router = new ProtomuxRpcRouter({
+    namespace: b4a.from('test-namespace'),
+    capability: b4a.from('old-capability')
+  })
+
+  router.method('echo', (value) => value)
+
+  const errors = []
+  router.on('capability-error', ({ connection }) => errors.push(connection))
+
+  const { bootstrap } = await setUpNetwork(t)
+  const server = await setUpServer(t, bootstrap, router)
+  await router.ready()
+
+  t.teardown(() => router.close())
+
+  const connect = (capability) =>
+    createClient(t, bootstrap, server.address().publicKey, {
+      namespace: b4a.from('test-namespace'),
+      capability: b4a.from(capability)
+    })
+
+  router.addCapability(b4a.from('new-capability'))
+
+  const newRpc = await connect('new-capability')
+  t.alike(await newRpc.request('echo', b4a.from('hello')), b4a.from('hello'), 'new one accepted')
+
+  router.removeCapability(b4a.from('old-capability'))
+
+  const oldRpc = await connect('old-capability')
+  await t.exception(() => oldRpc.request('echo', b4a.from('hello')), 'old one rejected')
+  t.is(errors.length, 1)
+})
+
+test('the last capability cannot be removed', async (t) => {
+  const capability = b4a.from('only-capability')
+  const router = new ProtomuxRpcRouter({ capability })
+  t.teardown(() => router.close())
+
+  router.method('echo', (value) => value)
+
+  t.exception(() => router.removeCapability(capability), /LAST_CAPABILITY/)
+  router.removeCapability(b4a.from('unknown-capability'))
+
+  const anonymous = await ProtomuxRpcRouter.testing.connect(router)
+  t.teardown(anonymous.close)
+
+  await t.exception(
+    anonymous.call('echo', b4a.from('hi')),
+    'peers without a capability are rejected'
+  )
+})
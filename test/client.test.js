@@ -0,0 +1,102 @@
+const test = require('brittle')
+const b4a = require('b4a')
+const cenc = require('compact-encoding')
+const { createRouterClient } = require('./helper')
+const ProtomuxRpcRouter = require('..')
+
+test('client applies encodings from a shared method schema', async (t) => {
+  const schema = {
+    greet: { requestEncoding: cenc.string, responseEncoding: cenc.string },
+    sum: { requestEncoding: cenc.json, responseEncoding: cenc.json }
+  }
+
+  const router = new ProtomuxRpcRouter()
+  router.method('greet', schema.greet, (name) => `hi ${name}`)
+  router.method('sum', schema.sum, ({ a, b }) => ({ sum: a + b }))
+  router.method('echo', (value) => value)
+
+  const client = await createRouterClient(t, router, { methods: schema })
+
+  t.is(await client.call('greet', 'world'), 'hi world')
+  t.alike(await client.call('sum', { a: 2, b: 3 }), { sum: 5 })
+  t.alike(await client.call('echo', b4a.from('raw')), b4a.from('raw'), 'defaults to raw')
+})
+
+test('client can be built from a router methods map', async (t) => {
+  const router = new ProtomuxRpcRouter()
+  router.method(
+    'greet',
+    { requestEncoding: cenc.string, responseEncoding: cenc.string },
+    (name) => `hi ${name}`
+  )
+
+  const client = await createRouterClient(t, router, { methods: router.methods })
+
+  t.is(await client.call('greet', 'world'), 'hi world')
+})
+
+test('client call options override schema encodings', async (t) => {
+  const router = new ProtomuxRpcRouter()
+  router.method('echo', (value) => value)
+
+  const client = await createRouterClient(t, router, {
+    methods: { echo: { requestEncoding: cenc.json, responseEncoding: cenc.json } }
+  })
+
+  const res = await client.call('echo', 'hello', {
+    requestEncoding: cenc.string,
+    responseEncoding: cenc.string
+  })
+  t.is(res, 'hello')
+})
+
+test('client sends a valid capability handshake', async (t) => {
+  const options = {
+    namespace: b4a.from('test-namespace'),
+    capability: b4a.from('test-capability')
+  }
+
+  const router = new ProtomuxRpcRouter(options)
+  router.method('echo', (value) => value)
+  router.on('capability-error', () => t.fail('capability should be valid'))
+
+  const client = await createRouterClient(t, router, options)
+  client.on('capability-error', () => t.fail('server capability should be valid'))
+
+  t.alike(await client.call('echo', b4a.from('hello')), b4a.from('hello'))
+})
+
+test('client rejects server with a different capability', async (t) => {
+  t.plan(1)
+
+  const router = new ProtomuxRpcRouter({
+    namespace: b4a.from('test-namespace'),
+    capability: b4a.from('test-capability')
+  })
+  router.method('echo', (value) => value)
+
+  const client = await createRouterClient(t, router, {
+    namespace: b4a.from('test-namespace'),
+    capability: b4a.from('wrong-capability')
+  })
+
+  client.on('capability-error', ({ connection }) => {
+    t.ok(connection, 'connection is provided in event')
+  })
+})
+
+test('client accepts any of its capabilities from the server during rotation', async (t) => {
+  const router = new ProtomuxRpcRouter({
+    namespace: b4a.from('test-namespace'),
+    capabilities: [b4a.from('old-capability'), b4a.from('new-capability')]
+  })
+  router.method('echo', (value) => value)
+
+  const client = await createRouterClient(t, router, {
+    namespace: b4a.from('test-namespace'),
+    capabilities: [b4a.from('new-capability'), b4a.from('old-capability')]
+  })
+  client.on('capability-error', () => t.fail('server capability should be accepted'))
+
+  t.alike(await client.call('echo', b4a.from('hello')), b4a.from('hello'))
+})
@@ -0,0 +1,91 @@
+const test = require('brittle')
+const b4a = require('b4a')
+const { causeCode, createClient, nextEvent, setUpNetwork, setUpServer } = require('./helper')
+const ProtomuxRpcRouter = require('..')
+
+async function setUp(t, router) {
+  const { bootstrap } = await setUpNetwork(t)
+  const server = await setUpServer(t, bootstrap, router)
+  await router.ready()
+
+  const opened = nextEvent(router, 'connection-open')
+  const rpc = await createClient(t, bootstrap, server.address().publicKey)
+  await opened
+
+  return rpc
+}
+
+test('close drains in-flight requests and rejects new ones with ROUTER_CLOSED', async (t) => {
+  const router = new ProtomuxRpcRouter()
+  const events = []
+
+  let release = null
+  const released = new Promise((resolve) => {
+    release = resolve
+  })
+  let started = null
+  const handlerStarted = new Promise((resolve) => {
+    started = resolve
+  })
+
+  router.use({
+    onclose: async () => events.push('onclose'),
+    ondisconnection: async () => events.push('ondisconnection')
+  })
+  router.method('slow', async (value) => {
+    started()
+    await released
+    events.push('handler done')
+    return value
+  })
+  router.method('echo', (value) => value)
+
+  const rpc = await setUp(t, router)
+
+  const inflight = rpc.request('slow', b4a.from('hello'))
+  await handlerStarted
+
+  const closing = router.close()
+
+  t.is(await causeCode(rpc.request('echo', b4a.from('late'))), 'ROUTER_CLOSED')
+
+  release()
+  t.alike(await inflight, b4a.from('hello'), 'in-flight request completes')
+
+  await closing
+  t.alike(events, ['handler done', 'ondisconnection', 'onclose'])
+  t.is(router.connections.size, 0, 'channels are destroyed')
+  t.ok(rpc.closed, 'client channel is closed')
+})
+
+test('close stops waiting for in-flight requests after the drain timeout', async (t) => {
+  t.plan(3)
+
+  const router = new ProtomuxRpcRouter()
+
+  let started = null
+  const handlerStarted = new Promise((resolve) => {
+    started = resolve
+  })
+
+  router.method('hang', (value, ctx) => {
+    started()
+    return new Promise((resolve, reject) => {
+      ctx.signal.addEventListener('abort', () => {
+        t.pass('handler is aborted once the channel is destroyed')
+        reject(ctx.signal.reason)
+      })
+    })
+  })
+
+  const rpc = await setUp(t, router)
+
+  const inflight = rpc.request('hang', b4a.from('hello'))
+  await handlerStarted
+
+  const start = Date.now()
+  await router.close({ drainTimeout: 100 })
+
+  t.ok(Date.now() - start >= 90, 'waited for the drain timeout')
+  await t.exception(inflight)
+})
@@ -0,0 +1,142 @@
+const test = require('brittle')
+const b4a = require('b4a')
+const promClient = require('prom-client')
+const { isBare } = require('which-runtime')
+const {
+  causeCode,
+  createClient,
+  createKeyPair,
+  setUpNetwork,
+  setUpServer,
+  simpleSetup
+} = require('./helper')
+const ProtomuxRpcRouter = require('..')
+
+const { Middleware } = ProtomuxRpcRouter
+
+function gate() {
+  let open = null
+  const opened = new Promise((resolve) => {
+    open = resolve
+  })
+  return { open, opened }
+}
+
+test('concurrency queues requests over the in-flight limit', async (t) => {
+  const router = new ProtomuxRpcRouter()
+  t.teardown(() => router.close())
+
+  const executions = []
+  const blocker = gate()
+
+  router.use(Middleware.concurrency({ maxInFlight: 1 }))
+  router.method('echo', async (value) => {
+    executions.push(`start:${b4a.toString(value)}`)
+    if (b4a.toString(value) === 'first') await blocker.opened
+    executions.push(`end:${b4a.toString(value)}`)
+    return value
+  })
+
+  const makeRequest = await simpleSetup(t, router)
+
+  const first = makeRequest('echo', b4a.from('first'))
+  const second = makeRequest('echo', b4a.from('second'))
+
+  await new Promise((resolve) => setTimeout(resolve, 50))
+  t.alike(executions, ['start:first'], 'second request waits for a slot')
+
+  blocker.open()
+  await Promise.all([first, second])
+  t.alike(executions, ['start:first', 'end:first', 'start:second', 'end:second'])
+})
+
+test('concurrency rejects with QUEUE_FULL and QUEUE_TIMEOUT', async (t) => {
+  const router = new ProtomuxRpcRouter()
+  t.teardown(() => router.close())
+
+  const blocker = gate()
+
+  router.use(Middleware.concurrency({ maxInFlight: 1, maxQueue: 1, queueTimeout: 100 }))
+  router.method('block', () => blocker.opened.then(() => b4a.from('done')))
+
+  const makeRequest = await simpleSetup(t, router)
+
+  const running = makeRequest('block', b4a.from(''))
+  const queued = causeCode(makeRequest('block', b4a.from('')))
+  await new Promise((resolve) => setTimeout(resolve, 20))
+
+  t.is(await causeCode(makeRequest('block', b4a.from(''))), 'QUEUE_FULL')
+  t.is(await queued, 'QUEUE_TIMEOUT')
+
+  blocker.open()
+  t.alike(await running, b4a.from('done'))
+})
+
+test('concurrency limits in-flight requests per peer', async (t) => {
+  const router = new ProtomuxRpcRouter()
+  t.teardown(() => router.close())
+
+  const blocker = gate()
+  let running = 0
+
+  router.use(Middleware.concurrency({ maxInFlight: 10, maxInFlightPerPeer: 1 }))
+  router.method('block', async () => {
+    running++
+    await blocker.opened
+    return b4a.from('done')
+  })
+
+  const { bootstrap } = await setUpNetwork(t)
+  const server = await setUpServer(t, bootstrap, router)
+  await router.ready()
+
+  const rpc1 = await createClient(t, bootstrap, server.address().publicKey, {
+    keyPair: createKeyPair()
+  })
+  const rpc2 = await createClient(t, bootstrap, server.address().publicKey, {
+    keyPair: createKeyPair()
+  })
+
+  const requests = [
+    rpc1.request('block', b4a.from('')),
+    rpc1.request('block', b4a.from('')),
+    rpc2.request('block', b4a.from(''))
+  ]
+
+  await new Promise((resolve) => setTimeout(resolve, 50))
+  t.is(running, 2, 'one request per peer is running')
+
+  blocker.open()
+  await Promise.all(requests)
+  t.is(running, 3)
+})
+
+test('concurrency exports in-flight and queue depth gauges', async (t) => {
+  if (isBare) {
+    t.pass('registerMetrics are not supported in bare runtime')
+    return
+  }
+  promClient.register.clear()
+
+  const router = new ProtomuxRpcRouter()
+  t.teardown(() => router.close())
+
+  const blocker = gate()
+
+  router.use(Middleware.concurrency({ maxInFlight: 1 }))
+  router.method('block', () => blocker.opened.then(() => b4a.from('done')))
+  router.registerMetrics(promClient)
+
+  const makeRequest = await simpleSetup(t, router)
+
+  const requests = [makeRequest('block', b4a.from('')), makeRequest('block', b4a.from(''))]
+  await new Promise((resolve) => setTimeout(resolve, 50))
+
+  const metrics = await promClient.register.getMetricsAsJSON()
+  const value = (name) => metrics.find((m) => m.name === name).values[0].value
+  t.is(value('protomux_rpc_router_concurrency_in_flight'), 1)
+  t.is(value('protomux_rpc_router_concurrency_queue_depth'), 1)
+
+  blocker.open()
+  await Promise.all(requests)
+})
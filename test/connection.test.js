@@ -0,0 +1,102 @@
+const test = require('brittle')
+const b4a = require('b4a')
+const { createClient, nextEvent, setUpNetwork, setUpServer } = require('./helper')
+const ProtomuxRpcRouter = require('..')
+
+test('router tracks connections and emits connection-open/connection-close', async (t) => {
+  const router = new ProtomuxRpcRouter()
+  t.teardown(() => router.close())
+
+  router.method('echo', (value) => value)
+
+  const { bootstrap } = await setUpNetwork(t)
+  const server = await setUpServer(t, bootstrap, router)
+  await router.ready()
+
+  const opened = nextEvent(router, 'connection-open')
+  const rpc = await createClient(t, bootstrap, server.address().publicKey)
+  const session = await opened
+
+  t.is(router.connections.size, 1)
+  t.is(router.connections.get(session.connection), session)
+  t.ok(session.rpc, 'session exposes the rpc channel')
+
+  await rpc.request('echo', b4a.from('hello'))
+
+  const closed = nextEvent(router, 'connection-close')
+  rpc.destroy()
+  const closedSession = await closed
+
+  t.is(closedSession, session)
+  t.is(router.connections.size, 0)
+})
+
+test('middleware connection hooks run once per connection and share state with requests', async (t) => {
+  const router = new ProtomuxRpcRouter()
+  t.teardown(() => router.close())
+
+  const calls = []
+
+  router.use({
+    onconnection: async (ctx) => {
+      calls.push('g:connect')
+      ctx.user = b4a.from('alice')
+    },
+    ondisconnection: async () => {
+      calls.push('g:disconnect')
+    }
+  })
+
+  router
+    .method('whoami', (value, ctx) => ctx.session.user)
+    .use({
+      onconnection: async () => calls.push('m:connect'),
+      ondisconnection: async () => calls.push('m:disconnect')
+    })
+
+  const { bootstrap } = await setUpNetwork(t)
+  const server = await setUpServer(t, bootstrap, router)
+  await router.ready()
+
+  const rpc = await createClient(t, bootstrap, server.address().publicKey)
+
+  t.alike(await rpc.request('whoami', b4a.from('')), b4a.from('alice'))
+  t.alike(await rpc.request('whoami', b4a.from('')), b4a.from('alice'))
+
+  const closed = nextEvent(router, 'connection-close')
+  rpc.destroy()
+  await closed
+
+  t.alike(calls, ['g:connect', 'm:connect', 'm:disconnect', 'g:disconnect'])
+})
+
+test('connection is destroyed when an onconnection hook throws', async (t) => {
+  t.plan(3)
+
+  const router = new ProtomuxRpcRouter()
+  t.teardown(() => router.close())
+
+  router.use({
+    onconnection: async () => {
+      throw new Error('not welcome')
+    },
+    ondisconnection: async () => {
+      t.fail('should not disconnect a connection that never connected')
+    }
+  })
+  router.method('echo', (value) => value)
+  router.on('connection-open', () => t.fail('should not emit connection-open'))
+
+  const { bootstrap } = await setUpNetwork(t)
+  const server = await setUpServer(t, bootstrap, router)
+  await router.ready()
+
+  server.on('handle-connection-error', (error) => {
+    t.is(error.message, 'not welcome', 'handleConnection rejects with the hook error')
+  })
+
+  const rpc = await createClient(t, bootstrap, server.address().publicKey)
+
+  await t.exception(() => rpc.request('echo', b4a.from('hello')))
+  t.is(router.connections.size, 0)
+})
@@ -0,0 +1,88 @@
+const test = require('brittle')
+const cenc = require('compact-encoding')
+const { createRouterClient } = require('./helper')
+const ProtomuxRpcRouter = require('..')
+
+function setUpMethods(router) {
+  const Profile = { preencode() {}, encode() {}, decode() {}, name: 'Profile' }
+
+  router.method('echo', (value) => value)
+  router
+    .method(
+      'profile.get',
+      { version: 2, requestEncoding: cenc.json, responseEncoding: Profile },
+      noop
+    )
+    .adapt(1, { requestEncoding: cenc.string, responseEncoding: cenc.string })
+  router.stream('logs', { responseEncoding: cenc.array(cenc.string) }, noop)
+  router.event('ping', { encoding: cenc.uint }, noop)
+
+  const blobs = new ProtomuxRpcRouter()
+  blobs.method('get', { requestEncoding: cenc.fixed32, responseEncoding: cenc.buffer }, noop)
+  router.mount('blobs', blobs)
+}
+
+const expected = [
+  {
+    method: 'blobs.get',
+    version: 1,
+    kind: 'method',
+    requestEncoding: 'fixed32',
+    responseEncoding: 'buffer'
+  },
+  { method: 'echo', version: 1, kind: 'method', requestEncoding: 'raw', responseEncoding: 'raw' },
+  {
+    method: 'logs',
+    version: 1,
+    kind: 'stream',
+    requestEncoding: 'raw',
+    responseEncoding: 'custom'
+  },
+  { method: 'ping', version: 1, kind: 'event', requestEncoding: 'uint', responseEncoding: 'none' },
+  {
+    method: 'profile.get',
+    version: 1,
+    kind: 'method',
+    requestEncoding: 'utf8',
+    responseEncoding: 'utf8'
+  },
+  {
+    method: 'profile.get',
+    version: 2,
+    kind: 'method',
+    requestEncoding: 'json',
+    responseEncoding: 'Profile'
+  }
+]
+
+test('router.describe lists the served methods and their encodings', async (t) => {
+  const router = new ProtomuxRpcRouter()
+  setUpMethods(router)
+
+  t.alike(router.describe(), expected)
+})
+
+test('_router.describe is served when enabled', async (t) => {
+  const router = new ProtomuxRpcRouter({ describe: true })
+  setUpMethods(router)
+
+  const client = await createRouterClient(t, router)
+
+  t.alike(await client.describe(), expected)
+})
+
+test('_router.describe is not served by default', async (t) => {
+  const router = new ProtomuxRpcRouter()
+  setUpMethods(router)
+
+  const client = await createRouterClient(t, router)
+
+  try {
+    await client.describe()
+    t.fail('describe should not be served')
+  } catch (err) {
+    t.is(err.code, 'UNKNOWN_METHOD')
+  }
+})
+
+function noop() {}
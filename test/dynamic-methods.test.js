@@ -0,0 +1,86 @@
+const test = require('brittle')
+const b4a = require('b4a')
+const { simpleSetup } = require('./helper')
+const ProtomuxRpcRouter = require('..')
+
+test('method added at runtime is served on existing connections', async (t) => {
+  const router = new ProtomuxRpcRouter()
+  t.teardown(() => router.close())
+
+  const calls = []
+
+  router.method('echo', (value) => value)
+
+  const makeRequest = await simpleSetup(t, router)
+  await makeRequest('echo', b4a.from('hello'))
+
+  router
+    .method('late', () => b4a.from('late'))
+    .use({
+      onopen: async () => calls.push('onopen'),
+      onconnection: async () => calls.push('onconnection'),
+      onrequest: (ctx, next) => {
+        calls.push('onrequest')
+        return next()
+      }
+    })
+
+  t.alike(await makeRequest('late', b4a.from('')), b4a.from('late'))
+  t.alike(await makeRequest('late', b4a.from('')), b4a.from('late'))
+  t.alike(calls, ['onopen', 'onconnection', 'onrequest', 'onrequest'])
+})
+
+test('method replaced at runtime takes effect on existing connections', async (t) => {
+  const router = new ProtomuxRpcRouter()
+  t.teardown(() => router.close())
+
+  const closings = []
+
+  router.method('greet', () => b4a.from('v1')).use({ onclose: async () => closings.push('v1') })
+
+  const makeRequest = await simpleSetup(t, router)
+  t.alike(await makeRequest('greet', b4a.from('')), b4a.from('v1'))
+
+  router.method('greet', () => b4a.from('v2')).use({ onclose: async () => closings.push('v2') })
+
+  t.alike(await makeRequest('greet', b4a.from('')), b4a.from('v2'))
+  t.alike(closings, ['v1'], 'replaced registration is closed')
+
+  await router.close()
+  t.alike(closings, ['v1', 'v2'])
+})
+
+test('unmethod removes the method from existing connections and closes its middleware', async (t) => {
+  const router = new ProtomuxRpcRouter()
+  t.teardown(() => router.close())
+
+  const calls = []
+
+  router.method('echo', (value) => value)
+  router
+    .method('plugin', (value) => value)
+    .use({
+      onclose: async () => calls.push('onclose'),
+      ondisconnection: async () => calls.push('ondisconnection')
+    })
+
+  const makeRequest = await simpleSetup(t, router)
+  t.alike(await makeRequest('plugin', b4a.from('hello')), b4a.from('hello'))
+
+  await router.unmethod('plugin')
+
+  t.alike(calls, ['ondisconnection', 'onclose'])
+  t.absent(router.methods.has('plugin'))
+
+  try {
+    await makeRequest('plugin', b4a.from('hello'))
+    t.fail('request should have thrown')
+  } catch (err) {
+    t.is(err.code, 'UNKNOWN_METHOD')
+  }
+
+  t.alike(await makeRequest('echo', b4a.from('hello')), b4a.from('hello'), 'other methods work')
+
+  await router.close()
+  t.is(calls.length, 2, 'removed method is not closed twice')
+})
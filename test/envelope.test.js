@@ -0,0 +1,103 @@
+const test = require('brittle')
+const cenc = require('compact-encoding')
+const { causeCode, createRouterClient, simpleSetup } = require('./helper')
+const ProtomuxRpcRouter = require('..')
+
+const schema = { requestEncoding: cenc.string, responseEncoding: cenc.string }
+
+test('metadata is sent alongside requests and responses', async (t) => {
+  const router = new ProtomuxRpcRouter({ envelope: true })
+  const received = []
+
+  router.use({
+    onrequest: async (ctx, next) => {
+      received.push(ctx.metadata)
+      const res = await next()
+      ctx.responseMetadata['server-version'] = '1.2.0'
+      return res
+    }
+  })
+  router.method('greet', schema, (name) => `hi ${name}`)
+
+  const client = await createRouterClient(t, router, { envelope: true })
+
+  t.is(await client.call('greet', 'alice', { metadata: { token: 'secret' } }), 'hi alice')
+  t.alike(await client.call('greet', 'bob', { withMetadata: true }), {
+    value: 'hi bob',
+    metadata: { 'server-version': '1.2.0' }
+  })
+  t.alike(received, [{ token: 'secret' }, {}])
+})
+
+test('metadata is sent with events and stream requests', async (t) => {
+  const router = new ProtomuxRpcRouter({ envelope: true, tracing: true })
+
+  let received = null
+  const handled = new Promise((resolve) => {
+    received = resolve
+  })
+
+  router.event('ping', { encoding: cenc.string }, (value, ctx) => {
+    received({ value, metadata: ctx.metadata })
+  })
+  router.stream('letters', schema, function* (value, ctx) {
+    yield* ctx.metadata.letters
+  })
+
+  const client = await createRouterClient(t, router, { envelope: true, tracing: true })
+
+  client.event('ping', 'hello', { metadata: { client: 'test' } })
+  t.alike(await handled, { value: 'hello', metadata: { client: 'test' } })
+
+  const chunks = []
+  for await (const chunk of client.stream('letters', '', { metadata: { letters: 'ab' } })) {
+    chunks.push(chunk)
+  }
+  t.alike(chunks, ['a', 'b'])
+})
+
+test('metadata is empty unless envelopes are enabled', async (t) => {
+  const router = new ProtomuxRpcRouter()
+
+  let received = null
+  router.method('greet', schema, (name, ctx) => {
+    received = ctx.metadata
+    return `hi ${name}`
+  })
+
+  const client = await createRouterClient(t, router)
+
+  t.alike(await client.call('greet', 'alice', { metadata: { token: 'secret' } }), 'hi alice')
+  t.alike(received, {})
+})
+
+test('clients without envelopes keep working with routers enabling them', async (t) => {
+  const router = new ProtomuxRpcRouter({ envelope: true })
+  t.teardown(() => router.close())
+
+  const received = []
+  router.method('greet', schema, (name, ctx) => {
+    received.push(ctx.metadata)
+    return `hi ${name}`
+  })
+
+  const makeRequest = await simpleSetup(t, router)
+  const client = await ProtomuxRpcRouter.testing.connect(router)
+  t.teardown(client.close)
+
+  t.is(await makeRequest('greet', 'alice', schema), 'hi alice', 'protomux-rpc client')
+  t.is(await client.call('greet', 'bob'), 'hi bob', 'client without envelopes')
+  t.alike(received, [{}, {}])
+})
+
+test('metadata is rejected by routers not enabling envelopes', async (t) => {
+  const router = new ProtomuxRpcRouter({ tracing: true })
+  t.teardown(() => router.close())
+
+  router.method('greet', schema, (name) => `hi ${name}`)
+
+  const client = await ProtomuxRpcRouter.testing.connect(router, { envelope: true })
+  t.teardown(client.close)
+
+  t.is(await causeCode(client.call('greet', 'alice')), 'DECODE_ERROR')
+})
@@ -0,0 +1,127 @@
+const test = require('brittle')
+const b4a = require('b4a')
+const cenc = require('compact-encoding')
+const { callError, createRouterClient } = require('./helper')
+const ProtomuxRpcRouter = require('..')
+
+const { ApplicationError } = ProtomuxRpcRouter
+
+class NotFoundError extends ApplicationError {
+  constructor(id) {
+    super('Item not found', 'NOT_FOUND', { details: { id } })
+  }
+}
+
+test('application errors are sent with their code and details', async (t) => {
+  const router = new ProtomuxRpcRouter({ maskErrors: true })
+
+  router.method('get', { requestEncoding: cenc.string }, (id) => {
+    throw new NotFoundError(id)
+  })
+
+  const client = await createRouterClient(t, router)
+  const err = await callError(client, 'get', 'abc')
+
+  t.is(err.code, 'NOT_FOUND')
+  t.is(err.message, 'Item not found')
+  t.alike(err.details, { id: 'abc' })
+  t.ok(err.requestId, 'requestId is sent alongside the details')
+})
+
+test('maskErrors sends unexpected errors as INTERNAL_ERROR with the requestId', async (t) => {
+  const router = new ProtomuxRpcRouter({ maskErrors: true })
+
+  let seenByMiddleware = null
+  let requestId = null
+
+  router.use({
+    onrequest: async (ctx, next) => {
+      requestId = ctx.requestId
+      try {
+        return await next()
+      } catch (err) {
+        seenByMiddleware = err
+        throw err
+      }
+    }
+  })
+  router.method('leak', () => {
+    throw new Error('password=hunter2')
+  })
+
+  const client = await createRouterClient(t, router)
+  const err = await callError(client, 'leak', b4a.from(''))
+
+  t.is(err.code, 'INTERNAL_ERROR')
+  t.absent(err.message.includes('hunter2'), 'message is not leaked')
+  t.ok(err.message.includes(requestId), 'message includes the requestId')
+  t.is(err.requestId, requestId)
+  t.is(seenByMiddleware.message, 'password=hunter2', 'middleware sees the original error')
+})
+
+test('maskErrors masks errors of the method hooks too', async (t) => {
+  const router = new ProtomuxRpcRouter({ maskErrors: true })
+  router.method('echo', (value) => value)
+
+  const client = await createRouterClient(t, router)
+
+  router
+    .method('late', (value) => value)
+    .use({
+      onopen: async () => {
+        throw new Error('secret db password leaked')
+      }
+    })
+
+  const err = await callError(client, 'late', b4a.from(''))
+
+  t.is(err.code, 'INTERNAL_ERROR')
+  t.absent(err.message.includes('secret'), 'message is not leaked')
+  t.ok(err.requestId, 'requestId is sent')
+  t.is(router.stats.nrRequests, 1)
+  t.is(router.stats.nrErrors, 1)
+})
+
+test('maskErrors keeps router and protomux-rpc errors', async (t) => {
+  const router = new ProtomuxRpcRouter({ maskErrors: true })
+
+  router
+    .method('limited', (value) => value)
+    .use(ProtomuxRpcRouter.Middleware.rateLimit({ capacity: 0 }))
+  router.method('decode', { requestEncoding: cenc.uint32 }, (value) => value)
+
+  const client = await createRouterClient(t, router)
+
+  t.is((await callError(client, 'limited', b4a.from(''))).code, 'RATE_LIMITED')
+  const decodeError = await callError(client, 'decode', b4a.from(''), {
+    requestEncoding: cenc.raw
+  })
+  t.is(decodeError.code, 'DECODE_ERROR')
+})
+
+test('mapError hook customises the error sent to peers', async (t) => {
+  const router = new ProtomuxRpcRouter({
+    maskErrors: true,
+    mapError: (error, ctx) => {
+      if (error.code === 'ENOENT') return new NotFoundError(ctx.method)
+    }
+  })
+
+  router.method('read', () => {
+    const error = new Error('ENOENT: no such file, open /secret/path')
+    error.code = 'ENOENT'
+    throw error
+  })
+  router.method('crash', () => {
+    throw new Error('crash')
+  })
+
+  const client = await createRouterClient(t, router)
+
+  const mapped = await callError(client, 'read', b4a.from(''))
+  t.is(mapped.code, 'NOT_FOUND')
+  t.alike(mapped.details, { id: 'read' })
+
+  const masked = await callError(client, 'crash', b4a.from(''))
+  t.is(masked.code, 'INTERNAL_ERROR', 'unmapped errors are still masked')
+})
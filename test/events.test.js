@@ -0,0 +1,72 @@
+const test = require('brittle')
+const b4a = require('b4a')
+const cenc = require('compact-encoding')
+const { createRouterClient, createRouterClients } = require('./helper')
+const ProtomuxRpcRouter = require('..')
+
+test('event methods run through middleware without a response', async (t) => {
+  const router = new ProtomuxRpcRouter()
+  const calls = []
+
+  let received = null
+  const handled = new Promise((resolve) => {
+    received = resolve
+  })
+
+  router.use({
+    onrequest: (ctx, next) => {
+      calls.push(ctx.method)
+      return next()
+    }
+  })
+  router.event('telemetry', { encoding: cenc.json }, (value, ctx) => {
+    received({ value, method: ctx.method })
+  })
+
+  const client = await createRouterClient(t, router)
+
+  t.is(client.event('telemetry', { cpu: 0.5 }), undefined, 'does not wait for a response')
+  t.alike(await handled, { value: { cpu: 0.5 }, method: 'telemetry' })
+  t.alike(calls, ['telemetry'])
+  t.is(router.stats.nrRequests, 1)
+})
+
+test('router pushes events to a connection', async (t) => {
+  const router = new ProtomuxRpcRouter()
+
+  router.method('subscribe', (value, ctx) => {
+    router.notify(ctx.connection, 'update', 'subscribed', { encoding: cenc.string })
+    return b4a.from('ok')
+  })
+
+  const client = await createRouterClient(t, router)
+
+  const update = new Promise((resolve) => {
+    client.listen('update', { encoding: cenc.string }, resolve)
+  })
+
+  await client.call('subscribe', b4a.from(''))
+  t.is(await update, 'subscribed')
+
+  t.exception(
+    () => router.notify({}, 'update', b4a.from('')),
+    /CONNECTION_NOT_FOUND/,
+    'unknown connections are rejected'
+  )
+})
+
+test('router broadcasts events to all connections', async (t) => {
+  const router = new ProtomuxRpcRouter()
+
+  const clients = await createRouterClients(t, router, 2)
+
+  const updates = clients.map(
+    (client) =>
+      new Promise((resolve) => {
+        client.listen('presence', { encoding: cenc.json }, resolve)
+      })
+  )
+
+  t.is(router.broadcast('presence', { online: 2 }, { encoding: cenc.json }), 2)
+  t.alike(await Promise.all(updates), [{ online: 2 }, { online: 2 }])
+})
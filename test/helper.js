@@ -5,6 +5,7 @@ const HyperswarmCapability = require('hyperswarm-capability')
 const cenc = require('compact-encoding')
 const b4a = require('b4a')
 const sodium = require('sodium-universal')
+const ProtomuxRpcClient = require('../lib/client')
 
 const Handshake = HyperswarmCapability.Encoding
 
@@ -26,7 +27,11 @@ exports.setUpServer = async (t, bootstrap, router) => {
   })
   const server = serverDht.createServer()
   server.on('connection', async (connection) => {
-    await router.handleConnection(connection)
+    try {
+      await router.handleConnection(connection)
+    } catch (error) {
+      server.emit('handle-connection-error', error)
+    }
   })
   await server.listen()
   t.teardown(async () => {
@@ -35,8 +40,8 @@ exports.setUpServer = async (t, bootstrap, router) => {
   return server
 }
 
-exports.createClient = async (t, bootstrap, serverPublicKey, options = {}) => {
-  const { namespace, capability, keyPair } = options
+exports.connect = async (t, bootstrap, serverPublicKey, options = {}) => {
+  const { keyPair } = options
 
   const clientDht = new HyperDHT({ bootstrap, keyPair })
   t.teardown(() => clientDht.destroy())
@@ -46,6 +51,14 @@ exports.createClient = async (t, bootstrap, serverPublicKey, options = {}) => {
 
   await stream.opened
 
+  return stream
+}
+
+exports.createClient = async (t, bootstrap, serverPublicKey, options = {}) => {
+  const { namespace, capability } = options
+
+  const stream = await exports.connect(t, bootstrap, serverPublicKey, options)
+
   const rpcOptions = {
     id: serverPublicKey,
     valueEncoding: null
@@ -83,6 +96,39 @@ exports.simpleSetup = async (t, router) => {
   }
 }
 
+// sets up a network serving the router, and a router client connected to it
+exports.createRouterClient = async (t, router, options = {}) => {
+  const [client] = await exports.createRouterClients(t, router, 1, options)
+  return client
+}
+
+// same as createRouterClient for several clients, options can be a function of the client index
+// resolves once the router opened all connections
+exports.createRouterClients = async (t, router, count, options = {}) => {
+  const { bootstrap } = await exports.setUpNetwork(t)
+  const server = await exports.setUpServer(t, bootstrap, router)
+  await router.ready()
+  t.teardown(() => router.close())
+
+  const clients = []
+  for (let i = 0; i < count; i++) {
+    const opened = exports.nextEvent(router, 'connection-open')
+    const stream = await exports.connect(t, bootstrap, server.address().publicKey)
+    const client = new ProtomuxRpcClient(stream, {
+      methods: router.methods,
+      ...(typeof options === 'function' ? options(i) : options)
+    })
+    t.teardown(async () => {
+      await client.close()
+      stream.destroy()
+    })
+    await opened
+    clients.push(client)
+  }
+
+  return clients
+}
+
 // borrow from hyperdht/lib/crypto.js
 exports.createKeyPair = (seed) => {
   const publicKey = b4a.alloc(32)
@@ -91,3 +137,28 @@ exports.createKeyPair = (seed) => {
   else sodium.crypto_sign_keypair(publicKey, secretKey)
   return { publicKey, secretKey }
 }
+
+// resolves to the code of the error the server sent for a failed request, or null on success
+exports.causeCode = async (request) => {
+  try {
+    await request
+    return null
+  } catch (err) {
+    return err.cause?.code ?? err.code
+  }
+}
+
+// resolves to the first argument of the next emitted event
+exports.nextEvent = (emitter, name) => {
+  return new Promise((resolve) => emitter.once(name, resolve))
+}
+
+// resolves to the error the server sent for a failed client call
+exports.callError = async (client, method, value, options) => {
+  try {
+    await client.call(method, value, options)
+  } catch (err) {
+    return err.cause
+  }
+  throw new Error('request should have thrown')
+}
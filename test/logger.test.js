@@ -0,0 +1,116 @@
+const test = require('brittle')
+const b4a = require('b4a')
+const { simpleSetup, causeCode } = require('./helper')
+const ProtomuxRpcRouter = require('..')
+const { Middleware, ApplicationError } = ProtomuxRpcRouter
+
+test('logger writes a structured record per request', async (t) => {
+  const router = new ProtomuxRpcRouter()
+  t.teardown(() => router.close())
+  const records = []
+
+  router.use(Middleware.logger({ sink: (record, level) => records.push({ level, record }) }))
+  router.method('echo', (value) => value)
+  router.method('fail', () => {
+    throw new ApplicationError('Not found', 'NOT_FOUND')
+  })
+  router.method('crash', () => {
+    throw new Error('boom')
+  })
+
+  const makeRequest = await simpleSetup(t, router)
+
+  await makeRequest('echo', b4a.from('hi'))
+  await causeCode(makeRequest('fail', b4a.alloc(0)))
+  await causeCode(makeRequest('crash', b4a.alloc(0)))
+
+  t.is(records.length, 3)
+
+  const [ok, fail, crash] = records
+  t.is(ok.level, 'info')
+  t.is(ok.record.method, 'echo')
+  t.is(ok.record.version, 1)
+  t.is(ok.record.outcome, 'ok')
+  t.is(ok.record.code, null)
+  t.is(typeof ok.record.requestId, 'string')
+  t.is(typeof ok.record.duration, 'number')
+  t.is(ok.record.peer.length, 64, 'hex encoded peer key')
+  t.ok('remoteHost' in ok.record)
+
+  t.is(fail.level, 'warn', 'errors with a code are warnings')
+  t.is(fail.record.outcome, 'error')
+  t.is(fail.record.code, 'NOT_FOUND')
+  t.is(fail.record.error, 'Not found')
+
+  t.is(crash.level, 'error')
+  t.is(crash.record.code, null)
+})
+
+test('logger writes to pino-compatible loggers and JSON lines streams', async (t) => {
+  const router = new ProtomuxRpcRouter()
+  t.teardown(() => router.close())
+
+  const calls = []
+  const pino = {
+    info: (record, msg) => calls.push(['info', record.method, msg]),
+    warn: (record, msg) => calls.push(['warn', record.method, msg]),
+    error: (record, msg) => calls.push(['error', record.method, msg])
+  }
+  const lines = []
+  const stream = { write: (line) => lines.push(line) }
+
+  router.use(Middleware.logger({ sink: pino }))
+  router.use(Middleware.logger({ sink: stream }))
+  router.method('echo', (value) => value)
+
+  const makeRequest = await simpleSetup(t, router)
+  await makeRequest('echo', b4a.from('hi'))
+
+  t.alike(calls, [['info', 'echo', 'rpc request']])
+
+  t.is(lines.length, 1)
+  t.ok(lines[0].endsWith('\n'))
+  const line = JSON.parse(lines[0])
+  t.is(line.level, 'info')
+  t.is(line.method, 'echo')
+  t.is(line.msg, 'rpc request')
+  t.is(typeof line.time, 'number')
+})
+
+test('logger samples and skips requests per method', async (t) => {
+  const router = new ProtomuxRpcRouter()
+  t.teardown(() => router.close())
+  const methods = []
+
+  router.use(
+    Middleware.logger({
+      sink: (record) => methods.push(record.method),
+      sample: { 'noisy.*': 0, 'noisy.important': 1 },
+      skip: ['health']
+    })
+  )
+  router.method('echo', (value) => value)
+  router.method('health', (value) => value)
+  router.method('noisy.tick', (value) => value)
+  router.method('noisy.important', (value) => value)
+  router.method('noisy.fail', () => {
+    throw new Error('boom')
+  })
+  router
+    .method('quiet', (value) => value)
+    .use({
+      onrequest: (ctx, next) => {
+        ctx.skipLogging = true
+        return next()
+      }
+    })
+
+  const makeRequest = await simpleSetup(t, router)
+
+  for (const method of ['echo', 'health', 'noisy.tick', 'noisy.important', 'quiet']) {
+    await makeRequest(method, b4a.from('hi'))
+  }
+  await causeCode(makeRequest('noisy.fail', b4a.alloc(0)))
+
+  t.alike(methods, ['echo', 'noisy.important', 'noisy.fail'], 'failed requests are not sampled')
+})
@@ -0,0 +1,104 @@
+const test = require('brittle')
+const b4a = require('b4a')
+const { simpleSetup } = require('./helper')
+const ProtomuxRpcRouter = require('..')
+
+function tracer(calls, name) {
+  return {
+    onopen: async () => calls.push(`${name} onopen`),
+    onclose: async () => calls.push(`${name} onclose`),
+    onconnection: async () => calls.push(`${name} onconnection`),
+    onrequest: (ctx, next) => {
+      calls.push(`${name} ${ctx.method}`)
+      return next()
+    }
+  }
+}
+
+test('mounted router methods are served under the prefix', async (t) => {
+  const router = new ProtomuxRpcRouter()
+  t.teardown(() => router.close())
+
+  const calls = []
+
+  const blobs = new ProtomuxRpcRouter()
+  blobs.use(tracer(calls, 'blobs'))
+  blobs.method('get', () => b4a.from('blob')).use(tracer(calls, 'get'))
+
+  router.use(tracer(calls, 'root'))
+  router.method('echo', (value) => value)
+  router.mount('blobs', blobs)
+
+  t.ok(router.methods.has('blobs.get'))
+
+  const makeRequest = await simpleSetup(t, router)
+
+  t.alike(await makeRequest('blobs.get', b4a.from('')), b4a.from('blob'))
+  t.alike(calls, [
+    'root onopen',
+    'blobs onopen',
+    'get onopen',
+    'root onconnection',
+    'blobs onconnection',
+    'get onconnection',
+    'root blobs.get',
+    'blobs blobs.get',
+    'get blobs.get'
+  ])
+
+  calls.length = 0
+  await makeRequest('echo', b4a.from('hi'))
+  t.alike(calls, ['root echo'], 'mounted middleware only applies to mounted methods')
+
+  try {
+    await makeRequest('get', b4a.from(''))
+    t.fail('unprefixed method should not be served')
+  } catch (err) {
+    t.is(err.code, 'UNKNOWN_METHOD')
+  }
+
+  calls.length = 0
+  await router.close()
+  t.alike(calls, ['get onclose', 'blobs onclose', 'root onclose'])
+})
+
+test('methods of a mounted router can change at runtime', async (t) => {
+  const router = new ProtomuxRpcRouter()
+  t.teardown(() => router.close())
+
+  const admin = new ProtomuxRpcRouter()
+  const users = new ProtomuxRpcRouter()
+  admin.mount('users', users)
+  router.mount('admin', admin)
+
+  const makeRequest = await simpleSetup(t, router)
+
+  users.method('list', () => b4a.from('alice'))
+  t.alike(await makeRequest('admin.users.list', b4a.from('')), b4a.from('alice'))
+
+  users.method('list', () => b4a.from('alice,bob'))
+  t.alike(await makeRequest('admin.users.list', b4a.from('')), b4a.from('alice,bob'))
+
+  await router.unmethod('admin.users.list')
+  t.absent(users.methods.has('list'), 'removed from the router it was registered on')
+  t.absent(router.methods.has('admin.users.list'))
+
+  try {
+    await makeRequest('admin.users.list', b4a.from(''))
+    t.fail('removed method should not be served')
+  } catch (err) {
+    t.is(err.code, 'UNKNOWN_METHOD')
+  }
+})
+
+test('routers cannot be mounted once open', async (t) => {
+  const router = new ProtomuxRpcRouter()
+  t.teardown(() => router.close())
+
+  const mounted = new ProtomuxRpcRouter()
+  router.mount('a', mounted)
+  t.exception(() => router.mount('b', mounted), /INVALID_MOUNT/)
+
+  await router.ready()
+  t.exception(() => router.mount('c', new ProtomuxRpcRouter()), /ROUTER_ALREADY_OPEN/)
+})
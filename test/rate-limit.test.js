@@ -0,0 +1,120 @@
+const test = require('brittle')
+const b4a = require('b4a')
+const promClient = require('prom-client')
+const { isBare } = require('which-runtime')
+const {
+  causeCode,
+  createClient,
+  createKeyPair,
+  setUpNetwork,
+  setUpServer,
+  simpleSetup
+} = require('./helper')
+const ProtomuxRpcRouter = require('..')
+
+const { Middleware } = ProtomuxRpcRouter
+
+test('rate limit per peer rejects with RATE_LIMITED once the bucket is empty', async (t) => {
+  const router = new ProtomuxRpcRouter()
+  t.teardown(() => router.close())
+
+  router.use(Middleware.rateLimit({ capacity: 2, refillRate: 0.001 }))
+  router.method('echo', (value) => value)
+
+  const { bootstrap } = await setUpNetwork(t)
+  const server = await setUpServer(t, bootstrap, router)
+  await router.ready()
+
+  const rpc1 = await createClient(t, bootstrap, server.address().publicKey, {
+    keyPair: createKeyPair()
+  })
+  const rpc2 = await createClient(t, bootstrap, server.address().publicKey, {
+    keyPair: createKeyPair()
+  })
+
+  await rpc1.request('echo', b4a.from('1'))
+  await rpc1.request('echo', b4a.from('2'))
+
+  try {
+    await rpc1.request('echo', b4a.from('3'))
+    t.fail('request should have thrown')
+  } catch (err) {
+    t.is(err.code, 'REQUEST_ERROR')
+    t.is(err.cause.code, 'RATE_LIMITED')
+  }
+
+  const res = await rpc2.request('echo', b4a.from('other peer'))
+  t.alike(res, b4a.from('other peer'), 'other peers have their own bucket')
+})
+
+test('rate limit per method through method registration', async (t) => {
+  const router = new ProtomuxRpcRouter()
+  t.teardown(() => router.close())
+
+  router
+    .method('limited', (value) => value)
+    .use(Middleware.rateLimit({ capacity: 1, key: 'method' }))
+  router.method('unlimited', (value) => value)
+
+  const makeRequest = await simpleSetup(t, router)
+
+  await makeRequest('limited', b4a.from('ok'))
+  t.is(await causeCode(makeRequest('limited', b4a.from('ok'))), 'RATE_LIMITED')
+
+  await makeRequest('unlimited', b4a.from('ok'))
+  await makeRequest('unlimited', b4a.from('ok'))
+  t.pass('other methods are not limited')
+})
+
+test('rate limit with custom key function and refill', async (t) => {
+  const router = new ProtomuxRpcRouter()
+  t.teardown(() => router.close())
+
+  const limiter = Middleware.rateLimit({
+    capacity: 1,
+    refillRate: 20,
+    key: (ctx) => b4a.toString(ctx.value)
+  })
+  router.use(limiter)
+  router.method('echo', (value) => value)
+
+  const makeRequest = await simpleSetup(t, router)
+
+  await makeRequest('echo', b4a.from('a'))
+  await makeRequest('echo', b4a.from('b'))
+  t.is(await causeCode(makeRequest('echo', b4a.from('a'))), 'RATE_LIMITED')
+
+  await new Promise((resolve) => setTimeout(resolve, 100))
+  await makeRequest('echo', b4a.from('a'))
+  t.pass('bucket refills over time')
+
+  t.is(limiter.stats.nrRejections, 1)
+  t.ok(limiter.buckets.size > 0)
+  await router.close()
+  t.is(limiter.buckets.size, 0, 'buckets are cleaned up on close')
+})
+
+test('rate limit rejections are exported through registerMetrics', async (t) => {
+  if (isBare) {
+    t.pass('registerMetrics are not supported in bare runtime')
+    return
+  }
+  promClient.register.clear()
+
+  const router = new ProtomuxRpcRouter()
+  t.teardown(() => router.close())
+
+  router.use(Middleware.rateLimit({ capacity: 1, refillRate: 0.001 }))
+  router.method('echo', (value) => value)
+  router.registerMetrics(promClient)
+
+  const makeRequest = await simpleSetup(t, router)
+
+  await makeRequest('echo', b4a.from('ok'))
+  await makeRequest('echo', b4a.from('ok')).catch(() => {})
+  await makeRequest('echo', b4a.from('ok')).catch(() => {})
+
+  const metrics = await promClient.register.getMetricsAsJSON()
+  const metric = metrics.find((m) => m.name === 'protomux_rpc_router_rate_limit_nr_rejections')
+  t.is(metric.values[0].value, 2)
+})
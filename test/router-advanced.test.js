@@ -3,6 +3,7 @@ const { createKeyPair, setUpNetwork, setUpServer, simpleSetup, createClient } =
 const ProtomuxRpcRouter = require('..')
 const b4a = require('b4a')
 const Middleware = require('../lib/middleware')
+const cenc = require('compact-encoding')
 
 test('middleware can enrich context; logger respects skip flags', async (t) => {
   const router = new ProtomuxRpcRouter()
@@ -135,3 +136,88 @@ test('middleware can enrich context; simple acl', async (t) => {
     'admin cannot echo using echo-user'
   )
 })
+
+test('onhandle middleware sees typed requests and responses', async (t) => {
+  const router = new ProtomuxRpcRouter()
+  t.teardown(async () => {
+    await router.close()
+  })
+
+  const order = []
+  let encoded = null
+  let typed = null
+
+  router.use({
+    onrequest: async (ctx, next) => {
+      order.push('global onrequest')
+      encoded = await next()
+      typed = ctx.response
+      return encoded
+    },
+    onhandle: async (ctx, next) => {
+      order.push('global onhandle')
+      ctx.request = { ...ctx.request, a: ctx.request.a * 10 }
+      return next()
+    }
+  })
+
+  router
+    .method('sum', { requestEncoding: cenc.json, responseEncoding: cenc.json }, ({ a, b }) => {
+      order.push('handler')
+      return { sum: a + b }
+    })
+    .use({
+      onrequest: (ctx, next) => {
+        order.push('method onrequest')
+        return next()
+      },
+      onhandle: async (ctx, next) => {
+        order.push('method onhandle')
+        const res = await next()
+        return { ...res, doubled: res.sum * 2 }
+      }
+    })
+
+  const makeRequest = await simpleSetup(t, router)
+
+  const res = await makeRequest(
+    'sum',
+    { a: 1, b: 2 },
+    { requestEncoding: cenc.json, responseEncoding: cenc.json }
+  )
+
+  t.alike(res, { sum: 12, doubled: 24 })
+  t.alike(typed, { sum: 12, doubled: 24 }, 'ctx.response is the typed response')
+  t.alike(encoded, cenc.encode(cenc.json, typed), 'onrequest still sees the encoded response')
+  t.alike(order, [
+    'global onrequest',
+    'method onrequest',
+    'global onhandle',
+    'method onhandle',
+    'handler'
+  ])
+})
+
+test('onhandle middleware can short-circuit the handler', async (t) => {
+  const router = new ProtomuxRpcRouter()
+  t.teardown(async () => {
+    await router.close()
+  })
+
+  router
+    .method('greet', { requestEncoding: cenc.string, responseEncoding: cenc.string }, () => {
+      t.fail('handler should not run')
+    })
+    .use({
+      onhandle: (ctx) => `cached ${ctx.request}`
+    })
+
+  const makeRequest = await simpleSetup(t, router)
+
+  const res = await makeRequest('greet', 'bob', {
+    requestEncoding: cenc.string,
+    responseEncoding: cenc.string
+  })
+  t.is(res, 'cached bob')
+  t.is(router.stats.nrHandlerErrors, 0)
+})
@@ -532,3 +532,78 @@ test('requestId is included in the context', async (t) => {
     )
   }
 })
+
+test('registerMetrics exports per-method request counters and latency histograms', async (t) => {
+  if (isBare) {
+    t.pass('registerMetrics are not supported in bare runtime')
+    return
+  }
+  promClient.register.clear()
+
+  const router = new ProtomuxRpcRouter()
+  t.teardown(async () => {
+    await router.close()
+  })
+
+  let inFlight = null
+
+  router.use({
+    onrequest: async (ctx, next) => {
+      if (b4a.toString(ctx.value) === 'boom-in-middleware') {
+        throw new Error('boom-in-middleware')
+      }
+      return next()
+    }
+  })
+
+  router.method('echo', (value) => {
+    inFlight = router.stats.nrInFlight
+    if (b4a.toString(value) === 'boom-in-handler') {
+      throw new Error('boom-in-handler')
+    }
+    return value
+  })
+  router.method('greet', { requestEncoding: cenc.string, responseEncoding: cenc.string }, () =>
+    b4a.from('not-a-string')
+  )
+
+  router.registerMetrics(promClient)
+
+  const makeRequest = await simpleSetup(t, router)
+
+  await makeRequest('echo', b4a.from('hello'))
+  await makeRequest('echo', b4a.from('hello again'))
+  await makeRequest('echo', b4a.from('boom-in-middleware')).catch(safetyCatch)
+  await makeRequest('echo', b4a.from('boom-in-handler')).catch(safetyCatch)
+  await makeRequest('greet', b4a.from([0xff])).catch(safetyCatch)
+  await makeRequest('greet', 'world', {
+    requestEncoding: cenc.string,
+    responseEncoding: cenc.string
+  }).catch(safetyCatch)
+
+  t.is(inFlight, 1, 'in-flight requests are tracked')
+  t.is(router.stats.nrInFlight, 0)
+
+  const metrics = await promClient.register.getMetricsAsJSON()
+  const requests = metrics.find((m) => m.name === 'protomux_rpc_router_method_requests_total')
+  const count = (method, outcome) =>
+    requests.values.find((v) => v.labels.method === method && v.labels.outcome === outcome)
+      ?.value ?? 0
+
+  t.is(count('echo', 'ok'), 2)
+  t.is(count('echo', 'middleware_error'), 1)
+  t.is(count('echo', 'handler_error'), 1)
+  t.is(count('greet', 'decode_error'), 1)
+  t.is(count('greet', 'encode_error'), 1)
+
+  const duration = metrics.find(
+    (m) => m.name === 'protomux_rpc_router_method_request_duration_seconds'
+  )
+  const observations = duration.values.find(
+    (v) =>
+      v.metricName === 'protomux_rpc_router_method_request_duration_seconds_count' &&
+      v.labels.method === 'echo' &&
+      v.labels.outcome === 'ok'
+  )
+  t.is(observations.value, 2, 'latency is observed per method and outcome')
+})
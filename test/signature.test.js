@@ -0,0 +1,97 @@
+const test = require('brittle')
+const b4a = require('b4a')
+const { createKeyPair, createRouterClient, createRouterClients, causeCode } = require('./helper')
+const { sign } = require('../lib/signature')
+const ProtomuxRpcRouter = require('..')
+const { Middleware } = ProtomuxRpcRouter
+
+test('signed requests expose the verified signer', async (t) => {
+  const alice = createKeyPair()
+  const bob = createKeyPair()
+  const eve = createKeyPair()
+
+  const router = new ProtomuxRpcRouter({ envelope: true })
+  const signers = []
+
+  router.use(Middleware.signature({ keys: [alice.publicKey, bob.publicKey] }))
+  router.use(Middleware.authorize({ key: 'signer', deny: [bob.publicKey] }))
+  router.method('echo', (value, ctx) => {
+    signers.push(ctx.signer)
+    return value
+  })
+
+  const keyPairs = [alice, bob, eve, null]
+  const [aliceClient, bobClient, eveClient, anonymous] = await createRouterClients(
+    t,
+    router,
+    keyPairs.length,
+    (i) => ({ envelope: true, signer: keyPairs[i] })
+  )
+
+  t.alike(await aliceClient.call('echo', b4a.from('hi')), b4a.from('hi'))
+  t.alike(signers, [alice.publicKey])
+
+  t.is(
+    await causeCode(bobClient.call('echo', b4a.from('hi'))),
+    'FORBIDDEN',
+    'signer is used by acl'
+  )
+  t.is(await causeCode(eveClient.call('echo', b4a.from('hi'))), 'INVALID_SIGNATURE')
+  t.is(await causeCode(anonymous.call('echo', b4a.from('hi'))), 'INVALID_SIGNATURE')
+})
+
+test('replayed, stale and tampered requests are rejected', async (t) => {
+  const alice = createKeyPair()
+
+  const router = new ProtomuxRpcRouter({ envelope: true })
+  const signature = Middleware.signature({ keys: [alice.publicKey], window: 60000, skew: 1000 })
+
+  router.use(signature)
+  router.method('echo', (value) => value)
+
+  const client = await createRouterClient(t, router, { envelope: true })
+  const value = b4a.from('hi')
+
+  const metadata = sign(alice, { method: 'echo', value })
+  t.alike(await client.call('echo', value, { metadata }), value)
+  t.is(await causeCode(client.call('echo', value, { metadata })), 'INVALID_SIGNATURE', 'replay')
+
+  const stale = sign(alice, { method: 'echo', value, timestamp: Date.now() - 120000 })
+  t.is(await causeCode(client.call('echo', value, { metadata: stale })), 'INVALID_SIGNATURE')
+
+  const future = sign(alice, { method: 'echo', value, timestamp: Date.now() + 10000 })
+  t.is(await causeCode(client.call('echo', value, { metadata: future })), 'INVALID_SIGNATURE')
+
+  const skewed = sign(alice, { method: 'echo', value, timestamp: Date.now() + 500 })
+  t.alike(await client.call('echo', value, { metadata: skewed }), value, 'within the skew')
+
+  const other = sign(alice, { method: 'echo', value: b4a.from('bye') })
+  t.is(await causeCode(client.call('echo', value, { metadata: other })), 'INVALID_SIGNATURE')
+
+  const otherMethod = sign(alice, { method: 'other', value })
+  t.is(await causeCode(client.call('echo', value, { metadata: otherMethod })), 'INVALID_SIGNATURE')
+
+  t.is(signature.stats.nrRejections, 5)
+})
+
+test('optional signatures let unsigned requests through', async (t) => {
+  const alice = createKeyPair()
+
+  const router = new ProtomuxRpcRouter({ envelope: true })
+  const signers = []
+
+  router.use(Middleware.signature({ keys: [alice.publicKey], optional: true }))
+  router.method('echo', (value, ctx) => {
+    signers.push(ctx.signer)
+    return value
+  })
+
+  const [signed, unsigned] = await createRouterClients(t, router, 2, (i) => ({
+    envelope: true,
+    signer: i === 0 ? alice : null
+  }))
+
+  await signed.call('echo', b4a.from('a'))
+  await unsigned.call('echo', b4a.from('b'))
+  t.alike(signers, [alice.publicKey, null])
+})
@@ -0,0 +1,149 @@
+const test = require('brittle')
+const b4a = require('b4a')
+const promClient = require('prom-client')
+const { isBare } = require('which-runtime')
+const { causeCode, simpleSetup } = require('./helper')
+const ProtomuxRpcRouter = require('..')
+
+const { Middleware } = ProtomuxRpcRouter
+
+test('single flight coalesces identical concurrent requests', async (t) => {
+  const router = new ProtomuxRpcRouter()
+  t.teardown(() => router.close())
+
+  let calls = 0
+  let release = null
+  const released = new Promise((resolve) => {
+    release = resolve
+  })
+
+  const singleFlight = Middleware.singleFlight()
+
+  router
+    .method('lookup', async (value) => {
+      calls++
+      await released
+      return b4a.concat([value, b4a.from('!')])
+    })
+    .use(singleFlight)
+
+  const makeRequest = await simpleSetup(t, router)
+
+  const requests = [
+    makeRequest('lookup', b4a.from('a')),
+    makeRequest('lookup', b4a.from('a')),
+    makeRequest('lookup', b4a.from('a')),
+    makeRequest('lookup', b4a.from('b'))
+  ]
+
+  while (singleFlight.stats.nrCoalesced < 2) await new Promise((resolve) => setImmediate(resolve))
+  release()
+
+  const res = await Promise.all(requests)
+  t.alike(res, [b4a.from('a!'), b4a.from('a!'), b4a.from('a!'), b4a.from('b!')])
+  t.is(calls, 2, 'handler runs once per distinct request')
+  t.is(singleFlight.flights.size, 0)
+
+  await makeRequest('lookup', b4a.from('a'))
+  t.is(calls, 3, 'settled requests are not reused')
+})
+
+test('single flight fans errors out to all waiters', async (t) => {
+  const router = new ProtomuxRpcRouter()
+  t.teardown(() => router.close())
+
+  let calls = 0
+  let release = null
+  const released = new Promise((resolve) => {
+    release = resolve
+  })
+
+  const singleFlight = Middleware.singleFlight()
+
+  router
+    .method('fail', async () => {
+      calls++
+      await released
+      throw new ProtomuxRpcRouter.ApplicationError('Not found', 'NOT_FOUND')
+    })
+    .use(singleFlight)
+
+  const makeRequest = await simpleSetup(t, router)
+
+  const requests = [
+    causeCode(makeRequest('fail', b4a.from('a'))),
+    causeCode(makeRequest('fail', b4a.from('a')))
+  ]
+
+  while (singleFlight.stats.nrCoalesced < 1) await new Promise((resolve) => setImmediate(resolve))
+  release()
+
+  t.alike(await Promise.all(requests), ['NOT_FOUND', 'NOT_FOUND'])
+  t.is(calls, 1)
+})
+
+test('single flight keeps running while another connection waits', async (t) => {
+  const router = new ProtomuxRpcRouter()
+  t.teardown(() => router.close())
+
+  let release = null
+  let signal = null
+  const singleFlight = Middleware.singleFlight()
+
+  router
+    .method('lookup', async (value, ctx) => {
+      signal = ctx.signal
+      await new Promise((resolve) => {
+        release = resolve
+      })
+      ctx.signal.throwIfAborted()
+      return value
+    })
+    .use(singleFlight)
+
+  const a = await ProtomuxRpcRouter.testing.connect(router)
+  const b = await ProtomuxRpcRouter.testing.connect(router)
+  t.teardown(b.close)
+
+  const first = causeCode(a.call('lookup', b4a.from('a')))
+  const second = b.call('lookup', b4a.from('a'))
+
+  while (singleFlight.stats.nrCoalesced < 1) await new Promise((resolve) => setImmediate(resolve))
+  await a.close()
+  await first
+
+  t.absent(signal.aborted, 'not aborted while a request waits')
+  release()
+  t.alike(await second, b4a.from('a'))
+
+  signal = null
+  const c = await ProtomuxRpcRouter.testing.connect(router)
+  const third = causeCode(c.call('lookup', b4a.from('a')))
+  while (signal === null) await new Promise((resolve) => setImmediate(resolve))
+  await c.close()
+  await third
+
+  while (!signal.aborted) await new Promise((resolve) => setImmediate(resolve))
+  t.pass('aborted once all requests are gone')
+  release()
+})
+
+test('single flight registers the coalesced metric', { skip: isBare }, async (t) => {
+  promClient.register.clear()
+
+  const router = new ProtomuxRpcRouter()
+  t.teardown(() => router.close())
+
+  const singleFlight = Middleware.singleFlight({ name: 'lookup_single_flight' })
+  router.method('lookup', (value) => value).use(singleFlight)
+  router.registerMetrics(promClient)
+
+  await router.ready()
+  singleFlight.stats.nrCoalesced = 3
+
+  const metrics = await promClient.register.getMetricsAsJSON()
+  const metric = metrics.find(
+    (m) => m.name === 'protomux_rpc_router_lookup_single_flight_nr_coalesced'
+  )
+  t.is(metric.values[0].value, 3)
+})
@@ -0,0 +1,213 @@
+const test = require('brittle')
+const b4a = require('b4a')
+const cenc = require('compact-encoding')
+const { causeCode, createRouterClient } = require('./helper')
+const ProtomuxRpcRouter = require('..')
+
+test('stream method sends chunks pulled by the client', async (t) => {
+  const router = new ProtomuxRpcRouter()
+  const calls = []
+
+  router.use({
+    onrequest: (ctx, next) => {
+      calls.push(ctx.method)
+      return next()
+    }
+  })
+  router.stream(
+    'count',
+    { requestEncoding: cenc.uint, responseEncoding: cenc.string },
+    async function* (n) {
+      for (let i = 0; i < n; i++) yield `chunk ${i}`
+    }
+  )
+
+  const client = await createRouterClient(t, router)
+
+  const chunks = []
+  for await (const chunk of client.stream('count', 3)) chunks.push(chunk)
+
+  t.alike(chunks, ['chunk 0', 'chunk 1', 'chunk 2'])
+  t.alike(calls, ['count'], 'middleware applies once to the stream setup')
+})
+
+test('stream handler is only pulled as fast as the client consumes', async (t) => {
+  const router = new ProtomuxRpcRouter()
+  let produced = 0
+
+  router.stream('numbers', { responseEncoding: cenc.uint }, function* () {
+    while (true) yield produced++
+  })
+
+  const client = await createRouterClient(t, router)
+
+  const chunks = []
+  for await (const chunk of client.stream('numbers', b4a.alloc(0))) {
+    chunks.push(chunk)
+    if (chunks.length === 3) break
+  }
+
+  t.alike(chunks, [0, 1, 2])
+  t.is(produced, 3, 'no chunk is produced ahead of the client')
+})
+
+test('client cancelling a stream aborts its signal and returns the iterator', async (t) => {
+  t.plan(3)
+
+  const router = new ProtomuxRpcRouter()
+
+  router.stream('ticks', { responseEncoding: cenc.uint }, async function* (req, ctx) {
+    ctx.signal.addEventListener('abort', () => {
+      t.is(ctx.signal.reason.code, 'STREAM_CANCELLED')
+    })
+    try {
+      for (let i = 0; ; i++) yield i
+    } finally {
+      t.pass('generator finally block runs')
+    }
+  })
+
+  const client = await createRouterClient(t, router)
+
+  for await (const tick of client.stream('ticks', b4a.alloc(0))) {
+    if (tick === 1) break
+  }
+
+  t.pass('loop left early')
+})
+
+test('stream errors are sent on the next pull', async (t) => {
+  const router = new ProtomuxRpcRouter()
+
+  router.stream('broken', { responseEncoding: cenc.uint }, async function* () {
+    yield 1
+    throw new ProtomuxRpcRouter.ApplicationError('Source went away', 'SOURCE_GONE')
+  })
+  router.stream('not-iterable', () => 42)
+
+  const client = await createRouterClient(t, router)
+
+  const chunks = []
+  try {
+    for await (const chunk of client.stream('broken', b4a.alloc(0))) chunks.push(chunk)
+    t.fail('stream should have thrown')
+  } catch (err) {
+    t.is(err.cause.code, 'SOURCE_GONE')
+    t.ok(err.cause.requestId, 'error has the requestId of the stream setup')
+  }
+  t.alike(chunks, [1])
+  t.is(router.stats.nrHandlerErrors, 1)
+
+  try {
+    for await (const chunk of client.stream('not-iterable', b4a.alloc(0))) t.fail(chunk)
+    t.fail('stream should have thrown')
+  } catch (err) {
+    t.is(err.cause.code, 'ENCODE_ERROR')
+  }
+})
+
+test('open streams are returned when the connection closes', async (t) => {
+  const router = new ProtomuxRpcRouter()
+
+  let returned = null
+  const closed = new Promise((resolve) => {
+    returned = resolve
+  })
+
+  router.stream('forever', { responseEncoding: cenc.uint }, async function* (req, ctx) {
+    try {
+      for (let i = 0; ; i++) yield i
+    } finally {
+      returned(ctx.signal.reason)
+    }
+  })
+
+  const client = await createRouterClient(t, router)
+
+  const iterator = client.stream('forever', b4a.alloc(0))
+  t.alike(await iterator.next(), { done: false, value: 0 })
+
+  await client.close()
+  const reason = await closed
+  t.is(reason.code, 'CHANNEL_CLOSED')
+})
+
+test('streams are not shared between connections by coalescing middleware', async (t) => {
+  const router = new ProtomuxRpcRouter()
+  t.teardown(() => router.close())
+
+  router.use(ProtomuxRpcRouter.Middleware.singleFlight())
+  router.use(ProtomuxRpcRouter.Middleware.cache())
+  router.stream('numbers', { responseEncoding: cenc.uint }, function* () {
+    yield 1
+    yield 2
+  })
+
+  const a = await ProtomuxRpcRouter.testing.connect(router)
+  t.teardown(a.close)
+  const b = await ProtomuxRpcRouter.testing.connect(router)
+  t.teardown(b.close)
+
+  const chunks = []
+  for await (const chunk of a.client.stream('numbers', b4a.alloc(0))) chunks.push(chunk)
+  for await (const chunk of b.client.stream('numbers', b4a.alloc(0))) chunks.push(chunk)
+
+  t.alike(chunks, [1, 2, 1, 2])
+})
+
+test('open streams are limited per connection', async (t) => {
+  const router = new ProtomuxRpcRouter({ maxStreams: 2 })
+  t.teardown(() => router.close())
+
+  router.stream('forever', { responseEncoding: cenc.uint }, function* () {
+    for (let i = 0; ; i++) yield i
+  })
+
+  const { client, close } = await ProtomuxRpcRouter.testing.connect(router)
+  t.teardown(close)
+  const other = await ProtomuxRpcRouter.testing.connect(router)
+  t.teardown(other.close)
+
+  const first = client.stream('forever', b4a.alloc(0))
+  const second = client.stream('forever', b4a.alloc(0))
+  await first.next()
+  await second.next()
+
+  t.is(
+    await causeCode(client.stream('forever', b4a.alloc(0)).next()),
+    'TOO_MANY_STREAMS',
+    'rejected over the limit'
+  )
+  t.alike(await other.client.stream('forever', b4a.alloc(0)).next(), { done: false, value: 0 })
+
+  await first.return()
+  t.alike(await client.stream('forever', b4a.alloc(0)).next(), { done: false, value: 0 })
+})
+
+test('streams the caller stops pulling are cancelled', async (t) => {
+  const router = new ProtomuxRpcRouter({ streamTimeout: 50 })
+  t.teardown(() => router.close())
+
+  let returned = null
+  const cancelled = new Promise((resolve) => {
+    returned = resolve
+  })
+
+  router.stream('forever', { responseEncoding: cenc.uint }, function* (req, ctx) {
+    try {
+      for (let i = 0; ; i++) yield i
+    } finally {
+      returned(ctx.signal.reason)
+    }
+  })
+
+  const { client, close } = await ProtomuxRpcRouter.testing.connect(router)
+  t.teardown(close)
+
+  const iterator = client.stream('forever', b4a.alloc(0))
+  t.alike(await iterator.next(), { done: false, value: 0 })
+
+  const reason = await cancelled
+  t.is(reason.code, 'STREAM_CANCELLED')
+  t.is(await causeCode(iterator.next()), 'STREAM_NOT_FOUND')
+})
@@ -0,0 +1,69 @@
+const test = require('brittle')
+const b4a = require('b4a')
+const cenc = require('compact-encoding')
+const { causeCode, nextEvent } = require('./helper')
+const ProtomuxRpcRouter = require('..')
+const { Middleware, testing } = ProtomuxRpcRouter
+
+test('testing.connect calls a router without a network', async (t) => {
+  const router = new ProtomuxRpcRouter()
+  t.teardown(() => router.close())
+
+  router.method(
+    'greet',
+    { requestEncoding: cenc.string, responseEncoding: cenc.string },
+    (name) => `hi ${name}`
+  )
+  router.method('echo', (value) => value)
+
+  const { call, close } = await testing.connect(router)
+  t.teardown(close)
+
+  t.is(await call('greet', 'world'), 'hi world', 'uses the router method encodings')
+  t.alike(await call('echo', b4a.from('raw')), b4a.from('raw'))
+  t.is(
+    await call('echo', 'typed', { requestEncoding: cenc.string, responseEncoding: cenc.string }),
+    'typed'
+  )
+})
+
+test('testing.connect uses the given client public key', async (t) => {
+  const router = new ProtomuxRpcRouter()
+  t.teardown(() => router.close())
+
+  const allowed = b4a.alloc(32, 1)
+  router.use(Middleware.authorize({ allow: [allowed] }))
+  router.method('echo', (value) => value)
+
+  const alice = await testing.connect(router, { publicKey: allowed })
+  t.teardown(alice.close)
+  const eve = await testing.connect(router)
+  t.teardown(eve.close)
+
+  t.alike(await alice.call('echo', b4a.from('hi')), b4a.from('hi'))
+  t.is(await causeCode(eve.call('echo', b4a.from('hi'))), 'FORBIDDEN')
+
+  const updates = new Promise((resolve) => alice.client.listen('update', resolve))
+  router.notify(alice.connection, 'update', b4a.from('pushed'))
+  t.alike(await updates, b4a.from('pushed'), 'connection is the router end')
+})
+
+test('testing.connect supports capabilities', async (t) => {
+  const capability = b4a.alloc(32, 2)
+  const router = new ProtomuxRpcRouter({ capability })
+  t.teardown(() => router.close())
+
+  router.method('echo', (value) => value)
+
+  const valid = await testing.connect(router, { capability })
+  t.teardown(valid.close)
+  t.alike(await valid.call('echo', b4a.from('hi')), b4a.from('hi'))
+
+  const rejected = nextEvent(router, 'capability-error')
+  const invalid = await testing.connect(router, { capability: b4a.alloc(32, 3) })
+  t.teardown(invalid.close)
+
+  await t.exception(invalid.call('echo', b4a.from('hi')))
+  await rejected
+  t.pass('router rejects the wrong capability')
+})
@@ -0,0 +1,78 @@
+const test = require('brittle')
+const b4a = require('b4a')
+const { causeCode, createClient, setUpNetwork, setUpServer, simpleSetup } = require('./helper')
+const ProtomuxRpcRouter = require('..')
+
+const { Middleware } = ProtomuxRpcRouter
+
+test('timeout rejects with REQUEST_TIMEOUT and aborts ctx.signal', async (t) => {
+  t.plan(4)
+
+  const router = new ProtomuxRpcRouter()
+  t.teardown(() => router.close())
+
+  router.use(Middleware.timeout({ timeout: 50 }))
+  router.method('hang', (value, ctx) => {
+    return new Promise((resolve, reject) => {
+      ctx.signal.addEventListener('abort', () => {
+        t.is(ctx.signal.reason.code, 'REQUEST_TIMEOUT', 'handler sees the abort reason')
+        reject(ctx.signal.reason)
+      })
+    })
+  })
+  router.method('fast', (value, ctx) => {
+    t.absent(ctx.signal.aborted)
+    return value
+  })
+
+  const makeRequest = await simpleSetup(t, router)
+
+  t.is(await causeCode(makeRequest('hang', b4a.from('hello'))), 'REQUEST_TIMEOUT')
+  t.alike(await makeRequest('fast', b4a.from('hello')), b4a.from('hello'))
+})
+
+test('per-method timeout overrides a longer global timeout', async (t) => {
+  const router = new ProtomuxRpcRouter()
+  t.teardown(() => router.close())
+
+  router.use(Middleware.timeout({ timeout: 10000 }))
+  router
+    .method('slow', async () => {
+      await new Promise((resolve) => setTimeout(resolve, 500))
+      return b4a.from('too late')
+    })
+    .use(Middleware.timeout({ timeout: 20 }))
+
+  const makeRequest = await simpleSetup(t, router)
+
+  const start = Date.now()
+  t.is(await causeCode(makeRequest('slow', b4a.from(''))), 'REQUEST_TIMEOUT')
+  t.ok(Date.now() - start < 500, 'rejected before the handler finished')
+})
+
+test('ctx.signal aborts when the channel closes mid-request', async (t) => {
+  t.plan(2)
+
+  const router = new ProtomuxRpcRouter()
+  t.teardown(() => router.close())
+
+  let rpc = null
+
+  router.method('hang', (value, ctx) => {
+    return new Promise((resolve, reject) => {
+      ctx.signal.addEventListener('abort', () => {
+        t.is(ctx.signal.reason.code, 'CHANNEL_CLOSED')
+        reject(ctx.signal.reason)
+      })
+      rpc.destroy()
+    })
+  })
+
+  const { bootstrap } = await setUpNetwork(t)
+  const server = await setUpServer(t, bootstrap, router)
+  await router.ready()
+
+  rpc = await createClient(t, bootstrap, server.address().publicKey)
+
+  await t.exception(() => rpc.request('hang', b4a.from('hello')))
+})
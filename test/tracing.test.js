@@ -0,0 +1,175 @@
+const test = require('brittle')
+const b4a = require('b4a')
+const cenc = require('compact-encoding')
+const promClient = require('prom-client')
+const { isBare } = require('which-runtime')
+const { causeCode, createRouterClient, simpleSetup } = require('./helper')
+const ProtomuxRpcRouter = require('..')
+const { Middleware, InMemorySpanExporter } = ProtomuxRpcRouter
+
+const trace = {
+  traceId: '4bf92f3577b34da6a3ce929d0e0e4736',
+  spanId: '00f067aa0ba902b7',
+  sampled: true
+}
+
+test('trace context is sent with the request and exported as a span', async (t) => {
+  const router = new ProtomuxRpcRouter({ tracing: true })
+  const exporter = new InMemorySpanExporter()
+
+  let received = null
+  router.use(Middleware.tracing({ exporter }))
+  router.method(
+    'echo',
+    { requestEncoding: cenc.string, responseEncoding: cenc.string },
+    (value, ctx) => {
+      received = { trace: ctx.trace, requestId: ctx.requestId }
+      return value
+    }
+  )
+
+  const client = await createRouterClient(t, router, { tracing: true })
+
+  t.is(await client.call('echo', 'hi', { trace }), 'hi')
+  t.alike(received, { trace, requestId: trace.traceId }, 'trace id is reused as the request id')
+
+  t.is(exporter.spans.length, 1)
+  const [span] = exporter.spans
+  t.is(span.name, 'echo')
+  t.is(span.traceId, trace.traceId)
+  t.is(span.parentSpanId, trace.spanId)
+  t.not(span.spanId, trace.spanId)
+  t.alike(span.status, { code: 'ok' })
+  t.is(span.attributes['rpc.request_id'], trace.traceId)
+  t.ok(span.endTime >= span.startTime)
+})
+
+test('handlers propagate their span to downstream requests', async (t) => {
+  const router = new ProtomuxRpcRouter({ tracing: true })
+  const exporter = new InMemorySpanExporter()
+
+  let client = null
+  router.use(Middleware.tracing({ exporter }))
+  router.method('inner', () => b4a.from('inner'))
+  router.method('outer', (value, ctx) => client.call('inner', value, { trace: ctx.span }))
+
+  client = await createRouterClient(t, router, { tracing: true })
+
+  t.alike(await client.call('outer', b4a.alloc(0)), b4a.from('inner'))
+
+  const [inner, outer] = exporter.spans
+  t.is(outer.name, 'outer')
+  t.is(outer.parentSpanId, null, 'requests without a trace start a new one')
+  t.is(inner.name, 'inner')
+  t.is(inner.traceId, outer.traceId)
+  t.is(inner.parentSpanId, outer.spanId)
+})
+
+test('stream chunks are pulled without a trace context', async (t) => {
+  const router = new ProtomuxRpcRouter({ tracing: true })
+  const exporter = new InMemorySpanExporter()
+
+  router.use(Middleware.tracing({ exporter }))
+  router.stream('numbers', { responseEncoding: cenc.uint }, function* () {
+    yield 1
+    yield 2
+  })
+
+  const client = await createRouterClient(t, router, { tracing: true })
+
+  const chunks = []
+  for await (const chunk of client.stream('numbers', b4a.alloc(0), { trace })) chunks.push(chunk)
+
+  t.alike(chunks, [1, 2])
+  t.is(exporter.spans.length, 1, 'a span for the stream setup')
+  t.is(exporter.spans[0].traceId, trace.traceId)
+})
+
+test('spans record errors and unsampled traces are not exported', async (t) => {
+  const router = new ProtomuxRpcRouter({ tracing: true })
+  const exporter = new InMemorySpanExporter()
+
+  router.use(Middleware.tracing({ exporter }))
+  router.method('fail', () => {
+    throw new ProtomuxRpcRouter.ApplicationError('Nope', 'NOPE')
+  })
+
+  const client = await createRouterClient(t, router, { tracing: true })
+
+  await t.exception(client.call('fail', b4a.alloc(0), { trace: { ...trace, sampled: false } }))
+  t.is(exporter.spans.length, 0)
+
+  await t.exception(client.call('fail', b4a.alloc(0)))
+  t.is(exporter.spans.length, 1)
+  t.alike(exporter.spans[0].status, { code: 'error', message: 'Nope' })
+  t.is(exporter.spans[0].attributes['rpc.error_code'], 'NOPE')
+
+  exporter.reset()
+  t.alike(exporter.spans, [])
+})
+
+test('trace context is not expected unless enabled', async (t) => {
+  const router = new ProtomuxRpcRouter()
+
+  let received
+  router.method('echo', (value, ctx) => {
+    received = ctx.trace
+    return value
+  })
+
+  const client = await createRouterClient(t, router)
+
+  t.alike(await client.call('echo', b4a.from('hi'), { trace }), b4a.from('hi'))
+  t.is(received, null)
+})
+
+test('plain requests are not read as traced by routers enabling tracing', async (t) => {
+  const router = new ProtomuxRpcRouter({ tracing: true })
+  t.teardown(() => router.close())
+
+  const traces = []
+  router.method('echo', (value, ctx) => {
+    traces.push(ctx.trace)
+    return value
+  })
+
+  const makeRequest = await simpleSetup(t, router)
+  const client = await ProtomuxRpcRouter.testing.connect(router)
+  t.teardown(client.close)
+
+  t.alike(await makeRequest('echo', b4a.from('hello')), b4a.from('hello'), 'protomux-rpc client')
+  t.alike(await client.call('echo', b4a.from('hello')), b4a.from('hello'), 'client without tracing')
+  t.alike(traces, [null, null])
+
+  const unknownFlags = b4a.concat([cenc.encode(cenc.uint, 64), cenc.encode(cenc.string, 'echo')])
+  t.is(await causeCode(makeRequest('_router.call', unknownFlags)), 'DECODE_ERROR')
+  t.alike(traces, [null, null], 'unknown framing is rejected')
+})
+
+test('unknown methods named by calls share a metrics label', { skip: isBare }, async (t) => {
+  promClient.register.clear()
+
+  const router = new ProtomuxRpcRouter({ tracing: true })
+  t.teardown(() => router.close())
+
+  router.method('echo', (value) => value)
+  router.registerMetrics(promClient)
+
+  const makeRequest = await simpleSetup(t, router)
+  const call = (method) => b4a.concat([cenc.encode(cenc.uint, 0), cenc.encode(cenc.string, method)])
+
+  t.alike(await makeRequest('_router.call', call('echo')), b4a.alloc(0))
+  for (let i = 0; i < 3; i++) {
+    t.is(await causeCode(makeRequest('_router.call', call(`nope-${i}`))), 'UNKNOWN_METHOD')
+  }
+  t.is(await causeCode(makeRequest('_router.call', call('nope@7'))), 'UNKNOWN_METHOD')
+
+  const metrics = await promClient.register.getMetricsAsJSON()
+  const requests = metrics.find((m) => m.name === 'protomux_rpc_router_method_requests_total')
+  const counts = requests.values.map(({ labels, value }) => [labels.method, labels.version, value])
+
+  t.alike(counts.sort(), [
+    ['_unknown', '_unknown', 4],
+    ['echo', 1, 1]
+  ])
+})
@@ -0,0 +1,97 @@
+const test = require('brittle')
+const b4a = require('b4a')
+const cenc = require('compact-encoding')
+const { callError, causeCode, createRouterClient, simpleSetup } = require('./helper')
+const ProtomuxRpcRouter = require('..')
+
+const { Middleware } = ProtomuxRpcRouter
+
+const json = { requestEncoding: cenc.json, responseEncoding: cenc.json }
+
+test('validate rejects requests breaking the schema with the failing field', async (t) => {
+  const router = new ProtomuxRpcRouter()
+
+  router
+    .method('create', json, (user) => user)
+    .use(
+      Middleware.validate({
+        name: { type: 'string', minLength: 1 },
+        age: { type: 'integer', min: 0, max: 150 },
+        role: { enum: ['admin', 'user'], optional: true },
+        tags: { type: 'array', items: { type: 'string' }, optional: true },
+        address: { type: 'object', properties: { city: { type: 'string' } }, optional: true }
+      })
+    )
+
+  const client = await createRouterClient(t, router)
+
+  const valid = { name: 'alice', age: 30, tags: ['a'] }
+  t.alike(await client.call('create', valid), valid)
+
+  const cases = [
+    [{ age: 30 }, 'name'],
+    [{ name: 'alice', age: -1 }, 'age'],
+    [{ name: 'alice', age: 1.5 }, 'age'],
+    [{ name: 'alice', age: 30, role: 'root' }, 'role'],
+    [{ name: 'alice', age: 30, tags: ['a', 2] }, 'tags[1]'],
+    [{ name: 'alice', age: 30, address: { city: 1 } }, 'address.city']
+  ]
+  for (const [req, field] of cases) {
+    const err = await callError(client, 'create', req)
+    t.is(err.code, 'VALIDATION_ERROR')
+    t.ok(err.message.includes(`'${field}'`), `message names ${field}`)
+    t.alike(err.details, { field })
+  }
+
+  t.is(router.stats.nrValidationErrors, cases.length)
+  t.is(router.stats.nrHandlerErrors, 0, 'validation errors are not handler errors')
+})
+
+test('validate accepts a predicate', async (t) => {
+  const router = new ProtomuxRpcRouter()
+  t.teardown(() => router.close())
+
+  router
+    .method('range', json, ({ from, to }) => to - from)
+    .use(Middleware.validate(({ from, to }) => from <= to || 'to'))
+
+  const makeRequest = await simpleSetup(t, router)
+
+  t.is(await makeRequest('range', { from: 1, to: 3 }, json), 2)
+  t.is(await causeCode(makeRequest('range', { from: 3, to: 1 }, json)), 'VALIDATION_ERROR')
+})
+
+test('ctx.request is decoded once and shared with the handler', async (t) => {
+  const router = new ProtomuxRpcRouter()
+  t.teardown(() => router.close())
+
+  let seen = null
+
+  router.use({
+    onrequest: (ctx, next) => {
+      seen = ctx.request
+      return next()
+    }
+  })
+  router.method('echo', json, (req) => {
+    t.is(req, seen, 'handler receives the same decoded object')
+    return req
+  })
+  router
+    .method('rewrite', { requestEncoding: cenc.string }, (req) => b4a.from(req))
+    .use({
+      onrequest: (ctx, next) => {
+        ctx.value = cenc.encode(cenc.string, 'rewritten')
+        return next()
+      }
+    })
+
+  const makeRequest = await simpleSetup(t, router)
+
+  t.alike(await makeRequest('echo', { a: 1 }, json), { a: 1 })
+  t.alike(seen, { a: 1 })
+
+  const original = cenc.encode(cenc.string, 'original')
+  t.alike(await makeRequest('rewrite', original), b4a.from('rewritten'))
+  t.is(seen, 'original', 'replacing ctx.value decodes it again')
+})
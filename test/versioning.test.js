@@ -0,0 +1,140 @@
+const test = require('brittle')
+const b4a = require('b4a')
+const cenc = require('compact-encoding')
+const promClient = require('prom-client')
+const { isBare } = require('which-runtime')
+const { causeCode, createRouterClient } = require('./helper')
+const ProtomuxRpcRouter = require('..')
+
+test('versions of a method are served alongside each other', async (t) => {
+  const router = new ProtomuxRpcRouter()
+  const versions = []
+
+  router.use({
+    onrequest: (ctx, next) => {
+      versions.push(`${ctx.method}@${ctx.version}`)
+      return next()
+    }
+  })
+  router.method('get', { requestEncoding: cenc.string, responseEncoding: cenc.string }, (id) => {
+    return `v1 ${id}`
+  })
+  router.method(
+    'get',
+    { version: 2, requestEncoding: cenc.json, responseEncoding: cenc.json },
+    ({ id }) => ({ id, version: 2 })
+  )
+
+  t.ok(router.methods.has('get'))
+  t.ok(router.methods.has('get@2'))
+
+  const client = await createRouterClient(t, router)
+
+  t.is(await client.call('get', 'a'), 'v1 a')
+  t.alike(await client.call('get', { id: 'a' }, { version: 2 }), { id: 'a', version: 2 })
+  t.alike(versions, ['get@1', 'get@2'])
+})
+
+test('method names and mount prefixes cannot contain @', (t) => {
+  const router = new ProtomuxRpcRouter()
+
+  t.exception(() => router.method('foo@2', (value) => value), /INVALID_METHOD_NAME/)
+  t.exception(() => router.stream('foo@2', function* () {}), /INVALID_METHOD_NAME/)
+  t.exception(() => router.mount('blobs@2', new ProtomuxRpcRouter()), /INVALID_METHOD_NAME/)
+  t.is(router.methods.size, 0)
+  t.is(router.mounts.size, 0)
+})
+
+test('adapter serves an older version with the current handler', async (t) => {
+  const router = new ProtomuxRpcRouter()
+  const requests = []
+
+  router
+    .method(
+      'get',
+      { version: 2, requestEncoding: cenc.json, responseEncoding: cenc.json },
+      (req, ctx) => {
+        requests.push({ req, version: ctx.version })
+        return { name: req.id.toUpperCase() }
+      }
+    )
+    .adapt(1, {
+      requestEncoding: cenc.string,
+      responseEncoding: cenc.string,
+      request: (id) => ({ id }),
+      response: (res) => res.name
+    })
+
+  const client = await createRouterClient(t, router)
+
+  t.is(await client.call('get', 'a'), 'A', 'old request is upgraded and the response downgraded')
+  t.alike(await client.call('get', { id: 'b' }, { version: 2 }), { name: 'B' })
+  t.alike(requests, [
+    { req: { id: 'a' }, version: 1 },
+    { req: { id: 'b' }, version: 2 }
+  ])
+
+  await router.unmethod('get@2')
+  t.ok(router.methods.has('get'), 'adapted version is still served')
+  t.is(await client.call('get', 'c'), 'C')
+})
+
+test('client falls back to older versions', async (t) => {
+  const router = new ProtomuxRpcRouter()
+  let calls = 0
+
+  router.use({
+    onrequest: (ctx, next) => {
+      calls++
+      return next()
+    }
+  })
+  router.method('get', (value, ctx) => b4a.from(`v${ctx.version}`))
+
+  const client = await createRouterClient(t, router)
+
+  t.alike(await client.call('get', b4a.alloc(0), { version: [3, 2, 1] }), b4a.from('v1'))
+  t.alike(await client.call('get', b4a.alloc(0), { version: [3, 2, 1] }), b4a.from('v1'))
+  t.is(calls, 2, 'negotiated version is remembered')
+
+  try {
+    await client.call('get', b4a.alloc(0), { version: [3, 2] })
+    t.fail('unserved versions should fail')
+  } catch (err) {
+    t.is(err.code, 'UNKNOWN_METHOD')
+  }
+})
+
+test('client falls back to older versions through the call method', async (t) => {
+  const router = new ProtomuxRpcRouter({ envelope: true })
+  router.method('get', (value, ctx) => b4a.from(`v${ctx.version}`))
+  router.method('get', { version: 2 }, (value, ctx) => b4a.from(`v${ctx.version}`))
+
+  const client = await createRouterClient(t, router, { envelope: true })
+
+  t.alike(await client.call('get', b4a.alloc(0), { version: [3, 2, 1] }), b4a.from('v2'))
+  t.is(await causeCode(client.call('get', b4a.alloc(0), { version: [4, 3] })), 'UNKNOWN_METHOD')
+})
+
+test('metrics are labelled with the served version', { skip: isBare }, async (t) => {
+  promClient.register.clear()
+
+  const router = new ProtomuxRpcRouter()
+  router.method('get', { version: 2 }, (value) => value).adapt(1)
+  router.registerMetrics(promClient)
+
+  const client = await createRouterClient(t, router)
+
+  await client.call('get', b4a.from('a'))
+  await client.call('get', b4a.from('b'), { version: 2 })
+  await client.call('get', b4a.from('c'), { version: 2 })
+
+  const metrics = await promClient.register.getMetricsAsJSON()
+  const requests = metrics.find((m) => m.name === 'protomux_rpc_router_method_requests_total')
+  const counts = requests.values.map(({ labels, value }) => [labels.version, value])
+
+  t.alike(counts.sort(), [
+    [1, 1],
+    [2, 2]
+  ])
+})